@@ -0,0 +1,36 @@
+// Check (and with --repair, fix) unit statuses and floor/property counters.
+// Usage: npm run reconcile -- [--repair] [--landlord <id>] [--property <id>]
+// Exits with 1 when drift is found and not repaired.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { reconcileCounters } from "../src/utils/reconcile.js";
+
+dotenv.config();
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/landlord_app";
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+  const repair = process.argv.includes("--repair");
+  const { checked, drift } = await reconcileCounters({
+    landlordId: argValue("--landlord"),
+    propertyId: argValue("--property"),
+    repair,
+  });
+
+  for (const d of drift) {
+    console.log(`${d.entity} ${d.id} (${d.label}): ${d.field} ${d.stored} -> ${d.expected}`);
+  }
+  console.log(
+    `Checked ${checked.properties} properties, ${checked.floors} floors, ${checked.units} units; ` +
+    `${drift.length} drifted value(s)${repair && drift.length ? " repaired" : ""}.`
+  );
+  await mongoose.disconnect();
+  process.exit(drift.length && !repair ? 1 : 0);
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
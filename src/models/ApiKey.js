@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+const { Schema, model, Types } = mongoose;
+
+const ApiKeySchema = new Schema({
+  userId: { type: Types.ObjectId, ref: "users", required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  // first characters of the key, shown in listings so users can tell keys apart
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, unique: true },
+  scopes: [{ type: String }],
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+ApiKeySchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+export default model("api_keys", ApiKeySchema);
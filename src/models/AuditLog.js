@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+const { Schema, model, Types } = mongoose;
+
+const Actor = new Schema({
+  userId: { type: Types.ObjectId, ref: "users" },
+  role: { type: String },
+  apiKeyId: { type: Types.ObjectId, ref: "api_keys" }
+}, { _id: false });
+
+const AuditLogSchema = new Schema({
+  landlordId: { type: Types.ObjectId, ref: "users", index: true },
+  // null when the change did not come from an authenticated request (scripts, seeds)
+  actor: { type: Actor, default: null },
+  action: { type: String, enum: ["create", "update", "delete"], required: true },
+  entity: { type: String, required: true },
+  entityId: { type: Types.ObjectId, required: true },
+  // changed top-level fields only; full document for create (after) and delete (before)
+  before: { type: Schema.Types.Mixed },
+  after: { type: Schema.Types.Mixed },
+  changedFields: [String],
+  route: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+AuditLogSchema.index({ landlordId: 1, entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ landlordId: 1, createdAt: -1 });
+
+// Append-only: entries can be written but never changed or removed through the model
+function rejectChange() {
+  throw new Error("Audit log entries are append-only");
+}
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+AuditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+    "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectChange
+);
+
+export default model("audit_logs", AuditLogSchema);
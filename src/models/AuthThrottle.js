@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Failure / request counters for auth endpoints, keyed e.g. "login:ip:1.2.3.4"
+const AuthThrottleSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lockouts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("auth_throttles", AuthThrottleSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+const { Schema, model, Types } = mongoose;
+
+export const EXPENSE_CATEGORIES = [
+  "property_tax", "repairs", "society_maintenance", "electricity_bill", "water_bill",
+  "salaries", "insurance", "cleaning", "security", "other",
+];
+
+const Attachment = new Schema({
+  fileUrl: { type: String, required: true },
+  fileName: String,
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ExpenseSchema = new Schema({
+  landlordId: { type: Types.ObjectId, ref: "users", required: true, index: true },
+  propertyId: { type: Types.ObjectId, ref: "properties", required: true },
+  unitId: { type: Types.ObjectId, ref: "Unit", default: null },
+  category: { type: String, enum: EXPENSE_CATEGORIES, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  date: { type: Date, required: true }, // when the expense was incurred / paid
+  description: { type: String, trim: true },
+  payee: { type: String, trim: true },
+  method: { type: String, enum: ["cash", "bank", "upi", "card", "other"], default: "cash" },
+  reference: { type: String, trim: true },
+  attachments: [Attachment],
+  // set when the expense pays for a maintenance request
+  maintenanceRequestId: { type: Types.ObjectId, ref: "maintenance_requests", default: null },
+  createdBy: { type: Types.ObjectId, ref: "users" }
+}, { timestamps: true });
+
+ExpenseSchema.index({ landlordId: 1, propertyId: 1, date: -1 });
+
+export default model("expenses", ExpenseSchema);
@@ -1,18 +1,29 @@
 // models/Floor.js
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 const { Schema, model, Types } = mongoose;
 
 const FloorSchema = new Schema({
   landlordId: { type: Types.ObjectId, ref: "users", required: true, index: true },
   propertyId: { type: Types.ObjectId, ref: "properties", required: true, index: true },
+  // 0 = ground, negative = basement, x.5 = mezzanine above floor x
   floorNumber: { type: Number, required: true },
   name: { type: String },
+  // custom labels are kept when floors are renumbered; generated names follow the number
+  isCustomName: { type: Boolean, default: false },
   unitsCount: { type: Number, default: 0 },
   vacant: { type: Number, default: 0 },
-  occupied: { type: Number, default: 0 }
+  occupied: { type: Number, default: 0 },
+  partiallyOccupied: { type: Number, default: 0 },
+  totalBeds: { type: Number, default: 0 },
+  occupiedBeds: { type: Number, default: 0 },
+  vacantBeds: { type: Number, default: 0 }
 }, { timestamps: true });
 
 // landlord + property + floorNumber unique
 FloorSchema.index({ landlordId: 1, propertyId: 1, floorNumber: 1 }, { unique: true });
 
+// archived together with their property
+FloorSchema.plugin(softDeletePlugin);
+
 export default model("floors", FloorSchema);
\ No newline at end of file
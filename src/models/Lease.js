@@ -16,7 +16,7 @@ const LeaseSchema = new Schema({
   startDate: { type: Date, required: true },
   endDate: { type: Date },
   monthlyRent: { type: Number, required: true },
-  dueDay: { type: Number, min:1, max:28, default: 1 },
+  dueDay: { type: Number, min:1, max:28 }, // unset: the property's billing.dueDay applies
   securityDeposit: { type: Number, default: 0 },
   penaltyOverride: PenaltyOverride,
   status: { type: String, enum: ["active","ended"], default: "active", index: true }
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+const { Schema, model, Types } = mongoose;
+
+export const MAINTENANCE_CATEGORIES = [
+  "plumbing", "electrical", "appliance", "carpentry", "painting",
+  "pest_control", "cleaning", "security", "other",
+];
+export const MAINTENANCE_PRIORITIES = ["low", "medium", "high", "urgent"];
+export const MAINTENANCE_STATUSES = ["open", "assigned", "in_progress", "resolved", "cancelled"];
+
+const Photo = new Schema({
+  url: { type: String, required: true },
+  caption: String,
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const Vendor = new Schema({
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  company: { type: String, trim: true }
+}, { _id: false });
+
+const StatusChange = new Schema({
+  status: { type: String, enum: MAINTENANCE_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: Types.ObjectId, ref: "users", default: null }, // null when the tenant raised it
+  note: String
+}, { _id: false });
+
+// Cost charged to a tenant as an extra charge (see Tenant.extraCharges)
+const Billing = new Schema({
+  tenantId: { type: Types.ObjectId, ref: "tenants", required: true },
+  amount: { type: Number, required: true, min: 0 },
+  chargedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const MaintenanceRequestSchema = new Schema({
+  landlordId: { type: Types.ObjectId, ref: "users", required: true, index: true },
+  propertyId: { type: Types.ObjectId, ref: "properties", required: true },
+  unitId: { type: Types.ObjectId, ref: "Unit", default: null },
+  tenantId: { type: Types.ObjectId, ref: "tenants", default: null },
+  raisedBy: {
+    kind: { type: String, enum: ["landlord", "tenant"], required: true },
+    userId: { type: Types.ObjectId, ref: "users", default: null },
+  },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  category: { type: String, enum: MAINTENANCE_CATEGORIES, required: true },
+  priority: { type: String, enum: MAINTENANCE_PRIORITIES, default: "medium" },
+  photos: [Photo],
+  status: { type: String, enum: MAINTENANCE_STATUSES, default: "open" },
+  statusHistory: [StatusChange],
+  vendor: { type: Vendor, default: undefined },
+  cost: { type: Number, min: 0 },
+  billing: { type: Billing, default: undefined },
+  assignedAt: Date,
+  startedAt: Date,
+  resolvedAt: Date,
+  cancelledAt: Date
+}, { timestamps: true });
+
+MaintenanceRequestSchema.index({ landlordId: 1, propertyId: 1, status: 1, createdAt: -1 });
+MaintenanceRequestSchema.index({ landlordId: 1, unitId: 1, createdAt: -1 });
+
+export default model("maintenance_requests", MaintenanceRequestSchema);
@@ -0,0 +1,10 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Data migrations that have run (see utils/migrations.js), so each runs only once
+const MigrationSchema = new Schema({
+  name: { type: String, required: true, unique: true },
+  ranAt: { type: Date, default: Date.now }
+});
+
+export default model("migrations", MigrationSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
 const { Schema, model, Types } = mongoose;
 
 const PaymentSchema = new Schema({
@@ -10,4 +11,6 @@ const PaymentSchema = new Schema({
   reference: { type: String }
 }, { timestamps: true });
 
+PaymentSchema.plugin(auditPlugin, { entity: "payments" });
+
 export default model("payments", PaymentSchema);
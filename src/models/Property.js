@@ -1,10 +1,22 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 const { Schema, model, Types } = mongoose;
 
 const Address = new Schema({
   line1: String, line2: String, city: String, state: String, zip: String, country: String
 }, {_id:false});
 
+// Defaults for tenants and leases in this property (see utils/billingPolicy.js)
+const BillingSettings = new Schema({
+  dueDay: { type: Number, min: 1, max: 28, default: 1 },
+  graceDays: { type: Number, min: 0, default: 15 },
+  penaltyMode: { type: String, enum: ["flatPerDay","percentPerDay"], default: "flatPerDay" },
+  penaltyRate: { type: Number, min: 0, default: 0 },
+  electricityPerUnit: { type: Number, min: 0, default: 0 },
+  currency: { type: String, default: "INR" }
+}, {_id:false});
+
 const PropertySchema = new Schema({
   landlordId: { type: Types.ObjectId, ref: "users", required: true, index: true },
   name: { type: String, required: true },
@@ -13,6 +25,14 @@ const PropertySchema = new Schema({
   totalUnits: { type: Number, default: 0 },
   totalOccupied: { type: Number, default: 0 },
   totalVacant: { type: Number, default: 0 }, 
+  totalPartiallyOccupied: { type: Number, default: 0 },
+  totalBeds: { type: Number, default: 0 },
+  totalOccupiedBeds: { type: Number, default: 0 },
+  totalVacantBeds: { type: Number, default: 0 },
+  billing: { type: BillingSettings, default: () => ({}) },
 }, { timestamps: true });
 
+PropertySchema.plugin(softDeletePlugin);
+PropertySchema.plugin(auditPlugin, { entity: "properties" });
+
 export default model("properties", PropertySchema);
\ No newline at end of file
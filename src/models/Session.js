@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+const { Schema, model, Types } = mongoose;
+
+const SessionSchema = new Schema({
+  userId: { type: Types.ObjectId, ref: "users", required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String }
+}, { timestamps: true });
+
+// Expired sessions are cleaned up by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("sessions", SessionSchema);
@@ -1,18 +1,27 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 const { Schema, model, Types } = mongoose;
 
+// Uploaded files live in storage under storageKey (see utils/storage.js);
+// older entries are links with only a client-supplied fileUrl
 const Document = new Schema({
   type: String,
   fileUrl: String,
   fileName: String,
+  contentType: String,
+  size: Number,
+  checksum: String, // sha256, hex
+  storageKey: String,
+  uploadedBy: { type: Types.ObjectId, ref: "users" },
   uploadedAt: { type: Date, default: Date.now }
-}, { _id: false });
+});
 
 const RentHistory = new Schema({
   amount: { type: Number, required: true },
   paidAt: { type: Date, default: Date.now },
   status: { type: String, enum: ["Paid"], default: "Paid" },
-  rentType: { type: String, enum: ["flat_rent", "electricity"], default: "flat_rent" },
+  rentType: { type: String, enum: ["flat_rent", "electricity", "extra_charge"], default: "flat_rent" },
   previousUnit: { type: Number, min: 0 }, // For electricity payments - previous meter reading
   currentUnit: { type: Number, min: 0 }   // For electricity payments - current meter reading
 }, { _id: false });
@@ -22,10 +31,35 @@ const rentChanges = new Schema({
   effectiveFrom: { type: Date, default: Date.now },
 }, { _id: false });
 
+// One-off amounts owed on top of rent, e.g. a repair billed from a maintenance request
+const ExtraCharge = new Schema({
+  amount: { type: Number, required: true, min: 0 },
+  description: { type: String, trim: true },
+  source: { type: String, enum: ["maintenance", "other"], default: "other" },
+  maintenanceRequestId: { type: Types.ObjectId, ref: "maintenance_requests" },
+  chargedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Electricity meters read when a tenant is transferred between units
+const MeterReadings = new Schema({
+  oldUnitClosing: { type: Number, min: 0, required: true },
+  newUnitOpening: { type: Number, min: 0, required: true }
+}, { _id: false });
+
 const TenantHistory = new Schema({
   propertyId: { type: Types.ObjectId, ref: "properties" },
   unitId: { type: Types.ObjectId, ref: "Unit" },
-  updatedAt: { type: Date, default: Date.now }
+  updatedAt: { type: Date, default: Date.now },
+  meterReadings: { type: MeterReadings, default: undefined }
+}, { _id: false });
+
+// Per-tenant exceptions to the property's billing settings; unset fields inherit
+const BillingOverrides = new Schema({
+  dueDay: { type: Number, min: 1, max: 28 },
+  graceDays: { type: Number, min: 0 },
+  penaltyMode: { type: String, enum: ["flatPerDay", "percentPerDay"] },
+  penaltyRate: { type: Number, min: 0 },
+  currency: { type: String }
 }, { _id: false });
 
 const TenantSchema = new Schema(
@@ -48,19 +82,25 @@ const TenantSchema = new Schema(
     photoUrl: String,
     propertyId: { type: Types.ObjectId, ref: "properties", required: false },
     unitId: { type: Types.ObjectId, ref: "Unit", required: false },
+    bedNumber: { type: Number, min: 1 }, // bed within a shared unit (optional)
     monthlyRent: { type: Number, default: 0 },
     startingDate: { type: Date, default: null },
     endingDate: { type: Date, default: null },
     depositMoney: { type: Number, default: 0 },
     documents: [Document],
     rentHistory: [RentHistory],
+    extraCharges: [ExtraCharge],
     rentChanges: [rentChanges],
     tenantHistory: [TenantHistory],
     electricityPerUnit: { type: Number, default: 0 }, // Cost per electricity unit
-    startingUnit: { type: Number, default: 0 }, // Initial electricity meter reading
+    startingUnit: { type: Number, default: 0 }, // Initial electricity meter reading (shifted on transfers to carry usage over)
+    billingOverrides: { type: BillingOverrides, default: undefined },
     currentUnit: { type: Number, default: 0 } // Current electricity meter reading
   },
   { timestamps: true }
 );
 
+TenantSchema.plugin(softDeletePlugin);
+TenantSchema.plugin(auditPlugin, { entity: "tenants" });
+
 export default model("Tenant", TenantSchema);
\ No newline at end of file
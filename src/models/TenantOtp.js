@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// One-time login codes for the tenant portal, keyed by phone number
+const TenantOtpSchema = new Schema({
+  phone: { type: String, required: true, index: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+TenantOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("tenant_otps", TenantOtpSchema);
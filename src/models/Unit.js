@@ -1,4 +1,14 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { askingRentOn } from "../utils/askingRent.js";
+
+// One entry of a unit's rent card; askingRent holds the amount in effect today
+const AskingRentChange = new mongoose.Schema({
+  amount: { type: Number, min: 0, required: true },
+  effectiveFrom: { type: Date, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+}, { _id: false });
 
 const UnitSchema = new mongoose.Schema({
   landlordId: { type: mongoose.Schema.Types.ObjectId, required: true },
@@ -6,8 +16,39 @@ const UnitSchema = new mongoose.Schema({
   floorId: { type: mongoose.Schema.Types.ObjectId, required: true },
   unitLabel: { type: String, required: true },
   status: { type: String, enum: ["vacant", "occupied", "inactive"], default: "vacant" },
+  // beds for shared (PG/hostel) rooms; a unit is "occupied" once any bed is taken
+  capacity: { type: Number, min: 1, default: 1 },
+  occupiedBeds: { type: Number, min: 0, default: 0 },
+  rentPerBed: { type: Number, min: 0 },
+  unitType: { type: String, enum: ["flat", "room", "shop", "office", "other"] },
+  bedrooms: { type: Number, min: 0 },
+  carpetArea: { type: Number, min: 0 }, // sq ft
+  furnishing: { type: String, enum: ["unfurnished", "semi-furnished", "furnished"] },
+  askingRent: { type: Number, min: 0 },
+  askingRentHistory: [AskingRentChange],
+  amenities: [{ type: String, lowercase: true, trim: true }],
+  notes: { type: String, trim: true },
 }, { timestamps: true });
 
-UnitSchema.index({ landlordId: 1, propertyId: 1, floorId: 1, unitLabel: 1 }, { unique: true });
+// labels are unique among live units only, so a trashed unit's label can be reused
+// (restoring it then needs the clash renamed first; see utils/trash.js for the old index)
+UnitSchema.index(
+  { landlordId: 1, propertyId: 1, floorId: 1, unitLabel: 1 },
+  { unique: true, partialFilterExpression: { archived: false }, name: "unit_label_unique_live" }
+);
+// unit search: "vacant 2BHK flats under 15k"
+UnitSchema.index({ landlordId: 1, status: 1, unitType: 1, askingRent: 1 });
+
+// askingRent set directly (unit create, PATCH /units/:id, layouts) takes effect from now;
+// runs on validate so insertMany is covered too
+UnitSchema.pre("validate", function () {
+  if (!this.isModified("askingRent") || this.askingRent == null) return;
+  if (this.askingRentHistory.length && askingRentOn(this) === this.askingRent) return;
+  this.askingRentHistory.push({ amount: this.askingRent, effectiveFrom: new Date() });
+});
+
+// must precede auditPlugin (see utils/softDelete.js)
+UnitSchema.plugin(softDeletePlugin);
+UnitSchema.plugin(auditPlugin, { entity: "units" });
 
 export default mongoose.model("Unit", UnitSchema);
\ No newline at end of file
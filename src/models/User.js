@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
-const { Schema, model } = mongoose;
+const { Schema, model, Types } = mongoose;
+
+const TwoFactor = new Schema({
+  enabled: { type: Boolean, default: false },
+  secret: { type: String },
+  pendingSecret: { type: String },
+  recoveryCodeHashes: [String],
+  lastUsedStep: { type: Number, default: -1 },
+  enabledAt: { type: Date }
+}, { _id: false });
 
 const UserSchema = new Schema({
   email: { 
@@ -12,13 +21,49 @@ const UserSchema = new Schema({
   passwordHash: { type: String },
   googleId: { type: String, index: true, sparse: true },
   name: { type: String },
-  phone: { type: String, unique:true, trim:true ,match: [/^\d{10,15}$/, "Invalid phone number"]},
+  phone: { type: String, unique:true, sparse:true, trim:true ,match: [/^\d{10,15}$/, "Invalid phone number"]},
   photoUrl: { type: String },
   resetToken: { type: String },
   resetTokenExpires: { type: Date },
   resetOtp: { type: String },          
   resetOtpExpires: { type: Date }, 
+  resetOtpAttempts: { type: Number, default: 0 },
+  // Signup sends a 6-digit code; sensitive routes require emailVerified (see app.requireVerifiedEmail)
+  emailVerified: { type: Boolean, default: false },
+  emailVerifyOtp: { type: String },
+  emailVerifyExpires: { type: Date },
+  emailVerifyAttempts: { type: Number, default: 0 },
+  emailVerifySentAt: { type: Date },
+  // Staff accounts belong to a landlord (ownerId) and may be limited to some properties
+  role: { type: String, enum: ["owner", "manager", "caretaker", "accountant"], default: "owner" },
+  ownerId: { type: Types.ObjectId, ref: "users", index: true },
+  propertyIds: [{ type: Types.ObjectId, ref: "properties" }],
+  invitedBy: { type: Types.ObjectId, ref: "users" },
+  inviteTokenHash: { type: String, index: true, sparse: true },
+  inviteExpires: { type: Date },
+  twoFactor: { type: TwoFactor, default: () => ({}) },
+  // Landlord setting: documents each tenant may hold (TENANT_DOCUMENT_LIMIT when unset)
+  tenantDocumentLimit: { type: Number, min: 1 },
 }, { timestamps: true });
 
+// Never send credentials or one-time secrets back to clients
+UserSchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.resetToken;
+    delete ret.resetOtp;
+    delete ret.emailVerifyOtp;
+    delete ret.inviteTokenHash;
+    if (ret.twoFactor) {
+      ret.twoFactor = {
+        enabled: !!ret.twoFactor.enabled,
+        enabledAt: ret.twoFactor.enabledAt,
+        recoveryCodesRemaining: (ret.twoFactor.recoveryCodeHashes || []).length
+      };
+    }
+    return ret;
+  }
+});
+
 
 export default model("users", UserSchema);
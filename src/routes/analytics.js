@@ -0,0 +1,48 @@
+import { z } from "zod";
+import Property from "../models/Property.js";
+import { occupancyAnalytics } from "../utils/occupancyAnalytics.js";
+
+const MAX_RANGE_DAYS = 5 * 366;
+
+const occupancyQuerySchema = z.object({
+  propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid property ID").optional(),
+  from: z.string().date("from must be a date (YYYY-MM-DD)").optional(),
+  to: z.string().date("to must be a date (YYYY-MM-DD)").optional(),
+});
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+
+  // ✅ Occupancy Over Time (defaults to the last 12 months)
+  app.get("/occupancy", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const q = occupancyQuerySchema.parse(req.query || {});
+
+      const to = q.to ? new Date(q.to) : new Date();
+      const from = q.from ? new Date(q.from) : new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 11, 1));
+      if (from > to) {
+        return reply.code(400).send({ success: false, message: "from must be on or before to" });
+      }
+      if ((to - from) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+        return reply.code(400).send({ success: false, message: "Date range cannot exceed 5 years" });
+      }
+
+      if (q.propertyId) {
+        const property = await Property.findOne({ _id: q.propertyId, landlordId }).withDeleted();
+        if (!property) {
+          return reply.code(404).send({ success: false, message: "Property not found" });
+        }
+      }
+
+      const data = await occupancyAnalytics({ landlordId, propertyId: q.propertyId, from, to });
+      return reply.send({ success: true, data });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map(e => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+}
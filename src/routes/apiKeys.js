@@ -0,0 +1,91 @@
+import { z } from "zod";
+import ApiKey from "../models/ApiKey.js";
+import { API_KEY_SCOPES } from "../utils/access.js";
+import { generateApiKey } from "../utils/apiKeys.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createKeySchema = z.object({
+  name: z.string().trim().min(2, "Name is required").max(100),
+  scopes: z.array(
+    z.enum(API_KEY_SCOPES, { errorMap: () => ({ message: `Scopes must be from: ${API_KEY_SCOPES.join(", ")}` }) })
+  ).min(1, "At least one scope is required"),
+  // omit for a key that does not expire
+  expiresInDays: z.number().int().min(1).max(730).optional(),
+});
+
+function keyView(key) {
+  return {
+    id: key._id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    lastUsedIp: key.lastUsedIp,
+    revokedAt: key.revokedAt,
+    createdAt: key.createdAt,
+  };
+}
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+
+  // ✅ List API Keys
+  app.get("/", async (req, reply) => {
+    try {
+      const keys = await ApiKey.find({ userId: req.user.uid }).sort({ createdAt: -1 });
+      return reply.send({ success: true, count: keys.length, apiKeys: keys.map(keyView) });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Create API Key
+  app.post("/", { preHandler: [app.requireVerifiedEmail] }, async (req, reply) => {
+    try {
+      const body = createKeySchema.parse(req.body || {});
+      const { key, keyHash, prefix } = generateApiKey();
+
+      const apiKey = await ApiKey.create({
+        userId: req.user.uid,
+        name: body.name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(body.scopes)],
+        expiresAt: body.expiresInDays ? new Date(Date.now() + body.expiresInDays * DAY_MS) : null,
+      });
+
+      // The key is only returned once; send it as "X-API-Key" or "Authorization: Bearer <key>"
+      return reply.code(201).send({
+        success: true,
+        message: "API key created",
+        apiKey: keyView(apiKey),
+        key,
+      });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Revoke API Key
+  app.delete("/:id", async (req, reply) => {
+    try {
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user.uid, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+      if (!apiKey) {
+        return reply.code(404).send({ success: false, message: "API key not found" });
+      }
+      return reply.send({ success: true, message: "API key revoked", apiKey: keyView(apiKey) });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+}
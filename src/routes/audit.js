@@ -0,0 +1,62 @@
+import { z } from "zod";
+import AuditLog from "../models/AuditLog.js";
+
+const AUDITED_ENTITIES = ["properties", "units", "tenants", "payments"];
+
+const auditQuerySchema = z.object({
+  entity: z.enum(AUDITED_ENTITIES).optional(),
+  entityId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid entityId").optional(),
+  from: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  to: z.string().datetime({ offset: true }).or(z.string().date()).optional(),
+  page: z.string().regex(/^\d+$/).default("1").transform(Number),
+  limit: z.string().regex(/^\d+$/).default("50").transform((v) => Math.min(Number(v) || 50, 200)),
+});
+
+// A bare date in `to` means "through the end of that day"
+function rangeEnd(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999Z`) : new Date(value);
+}
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+
+  // ✅ Query Audit Log
+  app.get("/", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const q = auditQuerySchema.parse(req.query || {});
+
+      const filter = { landlordId };
+      if (q.entity) filter.entity = q.entity;
+      if (q.entityId) filter.entityId = q.entityId;
+      if (q.from || q.to) {
+        filter.createdAt = {};
+        if (q.from) filter.createdAt.$gte = new Date(q.from);
+        if (q.to) filter.createdAt.$lte = rangeEnd(q.to);
+      }
+
+      const skip = (Math.max(q.page, 1) - 1) * q.limit;
+      const [entries, totalItems] = await Promise.all([
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(q.limit).lean(),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      return reply.send({
+        success: true,
+        data: entries,
+        pagination: {
+          page: q.page,
+          limit: q.limit,
+          totalPages: Math.ceil(totalItems / q.limit),
+          totalItems,
+        },
+      });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+}
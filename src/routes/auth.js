@@ -2,12 +2,23 @@ import argon2 from "argon2";
 import { z } from "zod";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import sgMail from "@sendgrid/mail";
 import dotenv from 'dotenv';
 import { emailLayout } from "../utils/emailTemplate.js";
+import { sendMail } from "../utils/mailer.js";
+import { verifyGoogleIdToken } from "../utils/googleAuth.js";
+import {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} from "../utils/sessions.js";
+import { hashToken, tokenMatchesHash } from "../utils/tokens.js";
+import { lockRemaining, recordFailure, clearFailures, consumeRateLimit, retryMessage } from "../utils/throttle.js";
+import { generateSecret, verifyTotp, provisioningUri, generateRecoveryCodes } from "../utils/totp.js";
 import crypto from "crypto";
 dotenv.config();
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
 const signupSchema = z.object({
   email: z.string().email({ message: "Invalid email address" }),
@@ -17,14 +28,48 @@ const signupSchema = z.object({
 });
 
 const loginSchema = z.object({
-  email: z.string().email({ message: "Invalid email address" }),
+  email: z.string().email({ message: "Invalid email address" }).transform(e => e.toLowerCase()),
   password: z.string({ required_error: "Password is required" })
 });
 
 const googleSchema = z.object({
-  idToken: z.string({ required_error: "Google ID Token is required" }),
-  email: z.string().email().optional(),
-  name: z.string().optional()
+  idToken: z.string({ required_error: "Google ID Token is required" }).min(1, "Google ID Token is required")
+});
+
+const refreshSchema = z.object({
+  refreshToken: z.string({ required_error: "Refresh token is required" }).min(1, "Refresh token is required")
+});
+
+const acceptInviteSchema = z.object({
+  token: z.string({ required_error: "Invite token is required" }).min(1, "Invite token is required"),
+  password: z.string().min(6, "Password must be at least 6 characters"),
+  name: z.string().min(2, "Name is required").optional(),
+  phone: z.string().regex(/^\d{10,15}$/, "Phone number must be 10–15 digits").optional()
+});
+
+const twoFactorLoginSchema = z.object({
+  challengeToken: z.string({ required_error: "Challenge token is required" }).min(1, "Challenge token is required"),
+  code: z.string().optional(),
+  recoveryCode: z.string().optional()
+}).refine(b => b.code || b.recoveryCode, { message: "A TOTP code or recovery code is required" });
+
+const twoFactorCodeSchema = z.object({
+  code: z.string({ required_error: "TOTP code is required" }).regex(/^\d{6}$/, "TOTP code must be 6 digits")
+});
+
+const twoFactorDisableSchema = z.object({
+  password: z.string().optional(),
+  code: z.string().optional(),
+  recoveryCode: z.string().optional()
+}).refine(b => b.code || b.recoveryCode, { message: "A TOTP code or recovery code is required" });
+
+const verifyEmailSchema = z.object({
+  email: z.string().email({ message: "Invalid email address" }).transform(e => e.toLowerCase()),
+  otp: z.string().regex(/^\d{6}$/, "OTP must be 6 digits")
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().email({ message: "Invalid email address" }).transform(e => e.toLowerCase())
 });
 
 const updateProfileSchema = z.object({
@@ -38,6 +83,75 @@ const changePasswordSchema = z.object({
   newPassword: z.string().min(6, "New password must be at least 6 characters")
 });
 
+const OTP_MAX_ATTEMPTS = 5;
+const EMAIL_VERIFY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_VERIFY_RESEND_COOLDOWN_MS = 60 * 1000;
+const EMAIL_VERIFY_SEND_IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_POLICY = { maxFailures: 5 };
+// per-IP limits are looser than per-account ones since offices and carriers share IPs
+const LOGIN_ACCOUNT_POLICY = { maxFailures: 5 };
+const LOGIN_IP_POLICY = { maxFailures: 20 };
+const RESET_SEND_EMAIL_LIMIT = { limit: 3, windowMs: 15 * 60 * 1000 };
+const RESET_SEND_IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+
+// helper: hash to verify against when the account does not exist, so timing does not reveal it
+let dummyHashPromise;
+function dummyHash() {
+  dummyHashPromise ||= argon2.hash(crypto.randomBytes(16).toString("hex"));
+  return dummyHashPromise;
+}
+
+// helper: googleId used to hold the client's ID token (a JWT) instead of the Google subject
+function isLegacyGoogleId(googleId) {
+  return googleId.split(".").length === 3;
+}
+
+// helper: check a TOTP or recovery code; a used recovery code is removed, a used TOTP step cannot be replayed
+function consumeSecondFactor(user, { code, recoveryCode }) {
+  const tf = user.twoFactor;
+  if (code) {
+    const step = verifyTotp(tf.secret, code, { afterStep: tf.lastUsedStep ?? -1 });
+    if (step === null) return false;
+    tf.lastUsedStep = step;
+    return true;
+  }
+  const normalized = String(recoveryCode || "").trim().toLowerCase();
+  const idx = (tf.recoveryCodeHashes || []).findIndex(h => tokenMatchesHash(normalized, h));
+  if (idx === -1) return false;
+  tf.recoveryCodeHashes.splice(idx, 1);
+  return true;
+}
+
+// helper: store a fresh email verification OTP on the user and mail it (the send itself is not awaited)
+async function sendVerificationEmail(user, log) {
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  user.emailVerifyOtp = hashToken(otp);
+  user.emailVerifyExpires = new Date(Date.now() + EMAIL_VERIFY_TTL_MS);
+  user.emailVerifyAttempts = 0;
+  user.emailVerifySentAt = new Date();
+  await user.save();
+
+  const html = emailLayout({
+    heading: "Verify Your Email",
+    subheading: "Confirm this address to finish setting up your account",
+    content: `
+      <p>Hello ${user.name || "User"},</p>
+      <p>Your email verification code is:</p>
+      <h2 style="color:#3490dc;">${otp}</h2>
+      <p>This code will expire in 24 hours.</p>
+      <p>If you didn't create a HomeNest account, you can safely ignore this email.</p>
+    `
+  });
+
+  sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    html,
+    text: `Your HomeNest email verification code is ${otp}. It expires in 24 hours.`
+  }).catch(err => log.error(err, "Failed to send verification email"));
+}
+
 // helper: format Zod errors
 function handleZodError(err, reply) {
   return reply.code(400).send({
@@ -50,7 +164,33 @@ function handleZodError(err, reply) {
   });
 }
 
+// shared by the login step and the 2FA management routes so guesses count against one budget
+const twoFactorThrottleKey = (userId) => `2fa:account:${userId}`;
+
 export default async function routes(app) {
+  // helper: issue tokens, or a short-lived 2FA challenge when the account has TOTP enabled
+  async function startLogin(user, req) {
+    if (user.twoFactor?.enabled) {
+      const challengeToken = app.jwt.sign(
+        { sub: user._id.toString(), kind: "2fa" },
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+      return { success: true, twoFactorRequired: true, challengeToken };
+    }
+    const tokens = await createSession(app, user, req);
+    return {
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+      }
+    };
+  }
+
   // signup
   app.post("/signup", async (req, reply) => {
     try {
@@ -69,15 +209,17 @@ export default async function routes(app) {
         name: body.name,
         phone: body.phone
       });
+      await sendVerificationEmail(user, req.log);
 
-      const token = app.jwt.sign({ sub: user._id.toString(), email: user.email });
+      const tokens = await createSession(app, user, req);
       return reply.code(201).send({
         success: true,
-        token,
+        ...tokens,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
+          emailVerified: user.emailVerified,
         }
       });
     } catch (err) {
@@ -86,38 +228,157 @@ export default async function routes(app) {
     }
   });
 
-  // login
-  app.post("/login", async (req, reply) => {
+  // confirm the email address with the code sent at signup
+  app.post("/verify-email", async (req, reply) => {
     try {
-      const body = loginSchema.parse(req.body);
-  
-      // Check if email exists
+      const body = verifyEmailSchema.parse(req.body || {});
+      const ipKey = `email-verify:ip:${req.ip}`;
+      const locked = await lockRemaining([ipKey]);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+
       const user = await User.findOne({ email: body.email });
-      if (!user) {
-        return reply.code(404).send({
+      if (user?.emailVerified) {
+        return reply.send({ success: true, message: "Email already verified" });
+      }
+
+      const otpValid = !!user?.emailVerifyOtp && user.emailVerifyExpires > new Date() &&
+        tokenMatchesHash(body.otp, user.emailVerifyOtp);
+      if (!otpValid) {
+        await recordFailure(ipKey, LOGIN_IP_POLICY);
+        if (user?.emailVerifyOtp) {
+          user.emailVerifyAttempts = (user.emailVerifyAttempts || 0) + 1;
+          if (user.emailVerifyAttempts >= OTP_MAX_ATTEMPTS) {
+            user.emailVerifyOtp = undefined;
+            user.emailVerifyExpires = undefined;
+          }
+          await user.save();
+        }
+        return reply.code(400).send({ success: false, message: "Invalid or expired OTP" });
+      }
+
+      user.emailVerified = true;
+      user.emailVerifyOtp = undefined;
+      user.emailVerifyExpires = undefined;
+      user.emailVerifyAttempts = 0;
+      await user.save();
+
+      return reply.send({ success: true, message: "Email verified successfully" });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // send a new verification code (one per minute per account)
+  app.post("/verify-email/resend", async (req, reply) => {
+    try {
+      const body = resendVerificationSchema.parse(req.body || {});
+      const retryAfter = await consumeRateLimit(`email-verify-send:ip:${req.ip}`, EMAIL_VERIFY_SEND_IP_LIMIT);
+      if (retryAfter) {
+        return reply.code(429).send({ success: false, message: retryMessage(retryAfter) });
+      }
+
+      const response = { success: true, message: "If this email needs verification, a new code has been sent" };
+      const user = await User.findOne({ email: body.email });
+      if (!user || user.emailVerified) return reply.send(response);
+
+      const sinceLast = Date.now() - (user.emailVerifySentAt?.getTime() || 0);
+      if (sinceLast < EMAIL_VERIFY_RESEND_COOLDOWN_MS) {
+        return reply.code(429).send({
           success: false,
-          message: "Email does not exist. Please check and try again."
+          message: retryMessage(EMAIL_VERIFY_RESEND_COOLDOWN_MS - sinceLast)
         });
       }
-      // Verify password
-      const validPassword = await argon2.verify(user.passwordHash, body.password);
+
+      await sendVerificationEmail(user, req.log);
+      return reply.send(response);
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // login
+  app.post("/login", async (req, reply) => {
+    try {
+      const body = loginSchema.parse(req.body);
+      const throttleKeys = [`login:account:${body.email}`, `login:ip:${req.ip}`];
+
+      const locked = await lockRemaining(throttleKeys);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+
+      // Same response for unknown emails and wrong passwords so accounts cannot be enumerated
+      const user = await User.findOne({ email: body.email });
+      const validPassword = user?.passwordHash
+        ? await argon2.verify(user.passwordHash, body.password)
+        : await argon2.verify(await dummyHash(), body.password).then(() => false);
       if (!validPassword) {
+        await recordFailure(throttleKeys[0], LOGIN_ACCOUNT_POLICY);
+        await recordFailure(throttleKeys[1], LOGIN_IP_POLICY);
         return reply.code(401).send({
           success: false,
-          message: "Incorrect password. Please try again."
+          message: "Invalid email or password"
         });
       }
-      const token = app.jwt.sign({ sub: user._id.toString(), email: user.email });
+      await clearFailures(throttleKeys[0]);
+
+      return reply.send(await startLogin(user, req));
+
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // second login step for accounts with 2FA
+  app.post("/login/2fa", async (req, reply) => {
+    try {
+      const body = twoFactorLoginSchema.parse(req.body || {});
+
+      let challenge;
+      try {
+        challenge = app.jwt.verify(body.challengeToken);
+      } catch (_) {
+        challenge = null;
+      }
+      if (challenge?.kind !== "2fa") {
+        return reply.code(401).send({ success: false, message: "Invalid or expired challenge" });
+      }
+
+      const throttleKey = twoFactorThrottleKey(challenge.sub);
+      const locked = await lockRemaining([throttleKey]);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+
+      const user = await User.findById(challenge.sub);
+      if (!user?.twoFactor?.enabled) {
+        return reply.code(401).send({ success: false, message: "Invalid or expired challenge" });
+      }
+
+      if (!consumeSecondFactor(user, body)) {
+        await recordFailure(throttleKey, TWO_FACTOR_POLICY);
+        return reply.code(401).send({ success: false, message: "Invalid authentication code" });
+      }
+      await user.save();
+      await clearFailures(throttleKey);
+
+      const tokens = await createSession(app, user, req);
       return reply.send({
         success: true,
-        token,
+        ...tokens,
         user: {
           id: user._id,
           name: user.name,
           email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
         }
       });
-  
     } catch (err) {
       if (err instanceof z.ZodError) return handleZodError(err, reply);
       return reply.code(500).send({ success: false, message: "Internal server error" });
@@ -129,24 +390,284 @@ export default async function routes(app) {
     try {
       const body = googleSchema.parse(req.body);
 
-      if (!body.email) {
-        return reply.code(400).send({ success: false, message: "Email is required for demo" });
+      let claims;
+      try {
+        claims = await verifyGoogleIdToken(body.idToken);
+      } catch (err) {
+        req.log.warn({ err: err.message }, "Google ID token rejected");
+        return reply.code(401).send({ success: false, message: "Invalid Google ID token" });
+      }
+      const email = claims.email.toLowerCase();
+
+      // Link by Google subject first; fall back to the verified email for existing accounts
+      let user = await User.findOne({ googleId: claims.sub });
+      if (!user) {
+        user = await User.findOne({ email });
+        // Older accounts stored the raw ID token as googleId; those get re-linked by subject below
+        if (user?.googleId && isLegacyGoogleId(user.googleId)) user.googleId = undefined;
+        if (user?.googleId && user.googleId !== claims.sub) {
+          return reply.code(409).send({
+            success: false,
+            message: "This email is linked to a different Google account"
+          });
+        }
       }
 
-      let user = await User.findOne({ email: body.email });
       if (!user) {
         user = await User.create({
-          email: body.email,
-          googleId: body.idToken,
-          name: body.name || ""
+          email,
+          googleId: claims.sub,
+          name: claims.name || "",
+          photoUrl: claims.picture,
+          emailVerified: true
         });
-      } else if (!user.googleId) {
-        user.googleId = body.idToken;
+      } else if (!user.googleId || !user.emailVerified) {
+        // Google only issues tokens for verified addresses
+        user.googleId = claims.sub;
+        user.emailVerified = true;
         await user.save();
       }
 
-      const token = app.jwt.sign({ sub: user._id.toString(), email: user.email });
-      return reply.send({ success: true, token });
+      return reply.send(await startLogin(user, req));
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // accept a staff invitation and set a password
+  app.post("/accept-invite", async (req, reply) => {
+    try {
+      const body = acceptInviteSchema.parse(req.body || {});
+      const user = await User.findOne({
+        inviteTokenHash: hashToken(body.token),
+        inviteExpires: { $gt: new Date() }
+      });
+      if (!user) {
+        return reply.code(400).send({ success: false, message: "Invalid or expired invitation" });
+      }
+
+      user.passwordHash = await argon2.hash(body.password);
+      if (body.name) user.name = body.name;
+      if (body.phone) user.phone = body.phone;
+      user.inviteTokenHash = undefined;
+      user.inviteExpires = undefined;
+      await user.save();
+
+      const tokens = await createSession(app, user, req);
+      return reply.send({
+        success: true,
+        ...tokens,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        }
+      });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      if (err.code === 11000) {
+        return reply.code(409).send({ success: false, message: "Phone number already in use" });
+      }
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // refresh access token (rotates the refresh token)
+  app.post("/refresh", async (req, reply) => {
+    try {
+      const body = refreshSchema.parse(req.body || {});
+      const tokens = await rotateSession(app, body.refreshToken, req);
+      if (!tokens) {
+        return reply.code(401).send({ success: false, message: "Invalid or expired refresh token" });
+      }
+      return reply.send({ success: true, ...tokens });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // logout (by refresh token, or the session of the current access token)
+  app.post("/logout", async (req, reply) => {
+    try {
+      if (req.body?.refreshToken) {
+        const session = await findSessionByRefreshToken(req.body.refreshToken);
+        if (session) await revokeSession(session.userId, session._id);
+        return reply.send({ success: true, message: "Logged out" });
+      }
+
+      await app.auth(req, reply);
+      if (reply.sent) return reply;
+      await revokeSession(req.user.uid, req.user.sid);
+      return reply.send({ success: true, message: "Logged out" });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // list active sessions
+  app.get("/sessions", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      const sessions = await listSessions(req.user.uid);
+      return reply.send({
+        success: true,
+        sessions: sessions.map(s => ({
+          id: s._id,
+          userAgent: s.userAgent,
+          ip: s.ip,
+          createdAt: s.createdAt,
+          lastUsedAt: s.lastUsedAt,
+          expiresAt: s.expiresAt,
+          current: s._id.toString() === req.user.sid
+        }))
+      });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // revoke a single session
+  app.delete("/sessions/:id", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+        return reply.code(400).send({ success: false, message: "Invalid session ID" });
+      }
+      const revoked = await revokeSession(req.user.uid, req.params.id, "revoked");
+      if (!revoked) {
+        return reply.code(404).send({ success: false, message: "Session not found" });
+      }
+      return reply.send({ success: true, message: "Session revoked" });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // revoke all sessions (?keepCurrent=true keeps the caller signed in)
+  app.delete("/sessions", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      const keepCurrent = req.query?.keepCurrent === "true";
+      const revoked = await revokeAllSessions(req.user.uid, {
+        except: keepCurrent ? req.user.sid : undefined
+      });
+      return reply.send({ success: true, message: "Sessions revoked", revoked });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // start 2FA enrollment: returns the secret and an otpauth:// URI for authenticator apps
+  app.post("/2fa/setup", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      const user = await User.findById(req.user.uid);
+      if (user.twoFactor?.enabled) {
+        return reply.code(400).send({ success: false, message: "Two-factor authentication is already enabled" });
+      }
+      const secret = generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+      return reply.send({
+        success: true,
+        secret,
+        otpauthUrl: provisioningUri({ secret, account: user.email })
+      });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // confirm enrollment with a code from the app; recovery codes are shown only here
+  app.post("/2fa/activate", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      const body = twoFactorCodeSchema.parse(req.body || {});
+      const throttleKey = twoFactorThrottleKey(req.user.uid);
+      const locked = await lockRemaining([throttleKey]);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+      const user = await User.findById(req.user.uid);
+      if (!user.twoFactor?.pendingSecret) {
+        return reply.code(400).send({ success: false, message: "Start two-factor setup first" });
+      }
+      const step = verifyTotp(user.twoFactor.pendingSecret, body.code);
+      if (step === null) {
+        await recordFailure(throttleKey, TWO_FACTOR_POLICY);
+        return reply.code(400).send({ success: false, message: "Invalid authentication code" });
+      }
+      await clearFailures(throttleKey);
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodeHashes: recoveryCodes.map(hashToken),
+        lastUsedStep: step,
+        enabledAt: new Date()
+      };
+      await user.save();
+      return reply.send({ success: true, message: "Two-factor authentication enabled", recoveryCodes });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // replace all recovery codes (requires a current TOTP code)
+  app.post("/2fa/recovery-codes", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      const body = twoFactorCodeSchema.parse(req.body || {});
+      const throttleKey = twoFactorThrottleKey(req.user.uid);
+      const locked = await lockRemaining([throttleKey]);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+      const user = await User.findById(req.user.uid);
+      if (!user.twoFactor?.enabled) {
+        return reply.code(400).send({ success: false, message: "Two-factor authentication is not enabled" });
+      }
+      if (!consumeSecondFactor(user, body)) {
+        await recordFailure(throttleKey, TWO_FACTOR_POLICY);
+        return reply.code(400).send({ success: false, message: "Invalid authentication code" });
+      }
+      await clearFailures(throttleKey);
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor.recoveryCodeHashes = recoveryCodes.map(hashToken);
+      await user.save();
+      return reply.send({ success: true, recoveryCodes });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // turn 2FA off (requires the password, if set, and a TOTP or recovery code)
+  app.post("/2fa/disable", { preHandler: [app.auth] }, async (req, reply) => {
+    try {
+      const body = twoFactorDisableSchema.parse(req.body || {});
+      const throttleKey = twoFactorThrottleKey(req.user.uid);
+      const locked = await lockRemaining([throttleKey]);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+      const user = await User.findById(req.user.uid);
+      if (!user.twoFactor?.enabled) {
+        return reply.code(400).send({ success: false, message: "Two-factor authentication is not enabled" });
+      }
+      if (user.passwordHash && !(await argon2.verify(user.passwordHash, body.password || ""))) {
+        await recordFailure(throttleKey, TWO_FACTOR_POLICY);
+        return reply.code(401).send({ success: false, message: "Invalid password" });
+      }
+      if (!consumeSecondFactor(user, body)) {
+        await recordFailure(throttleKey, TWO_FACTOR_POLICY);
+        return reply.code(400).send({ success: false, message: "Invalid authentication code" });
+      }
+      await clearFailures(throttleKey);
+      user.twoFactor = { enabled: false };
+      await user.save();
+      return reply.send({ success: true, message: "Two-factor authentication disabled" });
     } catch (err) {
       if (err instanceof z.ZodError) return handleZodError(err, reply);
       return reply.code(500).send({ success: false, message: "Internal server error" });
@@ -156,7 +677,7 @@ export default async function routes(app) {
   // get current user
   app.get("/me", { preHandler: [app.auth] }, async (req, reply) => {
     try {
-      const user = await User.findById(req.user.sub);
+      const user = await User.findById(req.user.uid);
       return reply.send({ success: true, user });
     } catch (err) {
       return reply.code(500).send({ success: false, message: "Internal server error" });
@@ -168,7 +689,7 @@ export default async function routes(app) {
     try {
       const body = updateProfileSchema.parse(req.body || {});
       const user = await User.findByIdAndUpdate(
-        req.user.sub,
+        req.user.uid,
         { $set: body },
         { new: true }
       );
@@ -184,7 +705,7 @@ export default async function routes(app) {
     try {
       const body = changePasswordSchema.parse(req.body || {});
 
-      const user = await User.findById(req.user.sub);
+      const user = await User.findById(req.user.uid);
       if (!user?.passwordHash) {
         return reply.code(400).send({ success: false, message: "Password login not set" });
       }
@@ -196,6 +717,7 @@ export default async function routes(app) {
 
       user.passwordHash = await argon2.hash(String(body.newPassword || ""));
       await user.save();
+      await revokeAllSessions(user._id, { except: req.user.sid, reason: "password_changed" });
 
       return reply.send({ success: true, message: "Password updated successfully" });
     } catch (err) {
@@ -207,21 +729,29 @@ export default async function routes(app) {
 
 app.post("/forgot-password", async (req, reply) => {
   try {
-    const { email } = req.body;
+    const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
     if (!email) {
       return reply.code(400).send({ success: false, message: "Email is required" });
     }
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return reply.code(404).send({ success: false, message: "User not found" });
+    // Limits apply per email string, whether or not it is registered
+    const retryAfter =
+      (await consumeRateLimit(`reset-send:email:${email}`, RESET_SEND_EMAIL_LIMIT)) ||
+      (await consumeRateLimit(`reset-send:ip:${req.ip}`, RESET_SEND_IP_LIMIT));
+    if (retryAfter) {
+      return reply.code(429).send({ success: false, message: retryMessage(retryAfter) });
     }
 
+    const response = { success: true, message: "If an account exists for this email, an OTP has been sent" };
+    const user = await User.findOne({ email });
+    if (!user) return reply.send(response);
+
     // Generate 6-digit OTP
-    const otp = crypto.randomInt(100000, 999999).toString();
+    const otp = crypto.randomInt(100000, 1000000).toString();
 
-    user.resetOtp = otp;
+    user.resetOtp = hashToken(otp);
     user.resetOtpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    user.resetOtpAttempts = 0;
     await user.save();
 
     const html = emailLayout({
@@ -236,15 +766,15 @@ app.post("/forgot-password", async (req, reply) => {
       `
     });
 
-    await sgMail.send({
+    // Not awaited: response time must not depend on whether the account exists
+    sendMail({
       to: user.email,
-      from: process.env.EMAIL_FROM,
       subject: "Password Reset OTP",
       html,
-      trackingSettings: { clickTracking: { enable: false, enableText: false } }
-    });
+      text: `Your HomeNest password reset OTP is ${otp}. It expires in 10 minutes.`
+    }).catch(err => req.log.error(err, "Failed to send password reset email"));
 
-    return reply.send({ success: true, message: "OTP sent to email" });
+    return reply.send(response);
   } catch (err) {
     console.error(err);
     return reply.code(500).send({ success: false, message: "Internal server error" });
@@ -253,23 +783,38 @@ app.post("/forgot-password", async (req, reply) => {
 
 app.post("/reset-password", async (req, reply) => {
   try {
-    const { email, otp, password } = req.body;
+    const { otp, password } = req.body || {};
+    const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
 
     if (!email || !otp || !password) {
       return reply.code(400).send({ success: false, message: "Email, OTP, and password are required" });
     }
 
-    const user = await User.findOne({ email, resetOtp: otp });
-    if (!user) {
-      return reply.code(400).send({ success: false, message: "Invalid OTP or email" });
+    const ipKey = `reset-verify:ip:${req.ip}`;
+    const locked = await lockRemaining([ipKey]);
+    if (locked) {
+      return reply.code(429).send({ success: false, message: retryMessage(locked) });
     }
 
-    if (user.resetOtpExpires < new Date()) {
-      return reply.code(400).send({ success: false, message: "OTP expired" });
+    const user = await User.findOne({ email });
+    const otpValid = !!user?.resetOtp && user.resetOtpExpires > new Date() &&
+      tokenMatchesHash(String(otp), user.resetOtp);
+    if (!otpValid) {
+      await recordFailure(ipKey, LOGIN_IP_POLICY);
+      if (user?.resetOtp) {
+        user.resetOtpAttempts = (user.resetOtpAttempts || 0) + 1;
+        // Too many wrong guesses burn the OTP; a new one has to be requested
+        if (user.resetOtpAttempts >= OTP_MAX_ATTEMPTS) {
+          user.resetOtp = undefined;
+          user.resetOtpExpires = undefined;
+        }
+        await user.save();
+      }
+      return reply.code(400).send({ success: false, message: "Invalid or expired OTP" });
     }
 
     // ✅ Check if new password is same as old one
-    const isSamePassword = await argon2.verify(user.passwordHash, password);
+    const isSamePassword = user.passwordHash ? await argon2.verify(user.passwordHash, password) : false;
     if (isSamePassword) {
       return reply.code(400).send({ success: false, message: "New password cannot be same as old password" });
     }
@@ -277,7 +822,11 @@ app.post("/reset-password", async (req, reply) => {
     user.passwordHash = await argon2.hash(password);
     user.resetOtp = undefined;
     user.resetOtpExpires = undefined;
+    user.resetOtpAttempts = 0;
+    // the OTP arrived by email, so the address is confirmed as well
+    user.emailVerified = true;
     await user.save();
+    await revokeAllSessions(user._id, { reason: "password_reset" });
 
     return reply.send({ success: true, message: "Password reset successfully" });
   } catch (err) {
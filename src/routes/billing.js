@@ -1,15 +1,7 @@
 import Lease from "../models/Lease.js";
 import RentPeriod from "../models/RentPeriod.js";
-import Unit from "../models/Unit.js";
 import { getMonthBoundaries } from "../utils/dates.js";
-
-async function rentForMonth(unit, periodStart){
-  if (!unit.rentHistory?.length) return unit.baseMonthlyRent || 0;
-  const applicable = unit.rentHistory
-    .filter(r => new Date(r.effectiveFrom).getTime() <= new Date(periodStart).getTime())
-    .sort((a,b)=> new Date(b.effectiveFrom)-new Date(a.effectiveFrom))[0];
-  return applicable ? applicable.amount : (unit.baseMonthlyRent || 0);
-}
+import { loadBillingPolicy } from "../utils/billingPolicy.js";
 
 export default async function routes(app) {
   app.addHook("preHandler", app.auth);
@@ -21,9 +13,13 @@ export default async function routes(app) {
     const active = await Lease.find({ landlordId, status: "active" });
     const results = [];
     for (const l of active) {
-      const unit = await Unit.findById(l.unitId);
-      const { start, end, dueDate } = getMonthBoundaries(year, month, l.dueDay || 1);
-      const amount = await rentForMonth(unit, start);
+      // lease dueDay when set, else the tenant's override or the property's default
+      const { dueDay } = await loadBillingPolicy({
+        landlordId, tenantId: l.tenantId, leaseId: l._id, propertyId: l.propertyId
+      });
+      const { start, end, dueDate } = getMonthBoundaries(year, month, dueDay);
+      // the rent agreed on the lease (units carry an asking rent, not the contract rent)
+      const amount = l.monthlyRent;
       const doc = {
         landlordId, leaseId: l._id, propertyId: l.propertyId, unitId: l.unitId, tenantId: l.tenantId,
         period: { year, month, start, end, dueDate },
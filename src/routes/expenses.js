@@ -0,0 +1,204 @@
+import { z } from "zod";
+import mongoose from "mongoose";
+import Expense, { EXPENSE_CATEGORIES } from "../models/Expense.js";
+import Property from "../models/Property.js";
+import Unit from "../models/Unit.js";
+import MaintenanceRequest from "../models/MaintenanceRequest.js";
+import { netIncomeReport } from "../utils/netIncome.js";
+
+const { Types } = mongoose;
+
+const objectId = (label) => z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label}`);
+const dateString = z.string().datetime({ offset: true }).or(z.string().date());
+
+const attachmentSchema = z.object({
+  fileUrl: z.string().url("Attachment fileUrl must be a valid URL"),
+  fileName: z.string().optional(),
+});
+
+const expenseSchema = z.object({
+  propertyId: objectId("property ID"),
+  unitId: objectId("unit ID").nullable().optional(),
+  category: z.enum(EXPENSE_CATEGORIES),
+  amount: z.number().positive("Amount must be greater than 0"),
+  date: dateString,
+  description: z.string().max(1000).optional(),
+  payee: z.string().max(200).optional(),
+  method: z.enum(["cash", "bank", "upi", "card", "other"]).optional(),
+  reference: z.string().max(200).optional(),
+  attachments: z.array(attachmentSchema).max(10).optional(),
+  maintenanceRequestId: objectId("maintenance request ID").nullable().optional(),
+});
+
+const updateSchema = expenseSchema.omit({ propertyId: true }).partial();
+
+// comma-separated query values, e.g. ?category=repairs,salaries
+const csv = (values) => z.string().transform((v) => v.split(",").map((x) => x.trim()).filter(Boolean))
+  .pipe(z.array(z.enum(values)));
+
+const listSchema = z.object({
+  propertyId: objectId("property ID").optional(),
+  unitId: objectId("unit ID").optional(),
+  category: csv(EXPENSE_CATEGORIES).optional(),
+  from: z.string().date().optional(),
+  to: z.string().date().optional(),
+  page: z.string().regex(/^\d+$/).default("1").transform(Number),
+  limit: z.string().regex(/^\d+$/).default("20").transform((v) => Math.min(Number(v) || 20, 100)),
+});
+
+const reportSchema = z.object({
+  propertyId: objectId("property ID").optional(),
+  year: z.string().regex(/^\d{4}$/, "year must be YYYY").transform(Number).optional(),
+  from: z.string().date().optional(),
+  to: z.string().date().optional(),
+  groupBy: z.enum(["month", "year"]).default("month"),
+});
+
+function sendError(err, reply) {
+  if (err.issues) {
+    const messages = err.issues.map(e => e.message);
+    return reply.code(400).send({ success: false, message: messages.join(", ") });
+  }
+  return reply.code(400).send({ success: false, message: err.message });
+}
+
+// Unit and maintenance request must belong to the expense's property; returns an error message or null
+async function checkReferences({ landlordId, propertyId, unitId, maintenanceRequestId }) {
+  if (unitId && !(await Unit.exists({ _id: unitId, propertyId, landlordId }))) {
+    return `Unit ${unitId} not found in this property`;
+  }
+  if (maintenanceRequestId && !(await MaintenanceRequest.exists({ _id: maintenanceRequestId, propertyId, landlordId }))) {
+    return `Maintenance request ${maintenanceRequestId} not found in this property`;
+  }
+  return null;
+}
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+
+  // ✅ Record Expense
+  app.post("/", async (req, reply) => {
+    try {
+      const body = expenseSchema.parse(req.body);
+      const landlordId = req.user.sub;
+      const property = await Property.findOne({ _id: body.propertyId, landlordId });
+      if (!property) {
+        return reply.code(404).send({ success: false, message: "Property not found" });
+      }
+      const invalid = await checkReferences({ landlordId, ...body });
+      if (invalid) return reply.code(400).send({ success: false, message: invalid });
+
+      const expense = await Expense.create({ ...body, date: new Date(body.date), landlordId, createdBy: req.user.uid });
+      return reply.code(201).send({ success: true, message: "Expense recorded", data: expense });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ List Expenses (with the total of the filtered entries)
+  app.get("/", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const q = listSchema.parse(req.query || {});
+      // ObjectIds up front: the total runs as an aggregate, which does not cast
+      const filter = { landlordId: new Types.ObjectId(landlordId) };
+      if (q.propertyId) filter.propertyId = new Types.ObjectId(q.propertyId);
+      if (q.unitId) filter.unitId = new Types.ObjectId(q.unitId);
+      if (q.category) filter.category = { $in: q.category };
+      if (q.from || q.to) {
+        filter.date = {};
+        if (q.from) filter.date.$gte = new Date(q.from);
+        if (q.to) filter.date.$lte = new Date(`${q.to}T23:59:59.999Z`);
+      }
+
+      const [expenses, totalItems, sum] = await Promise.all([
+        Expense.find(filter).sort({ date: -1, _id: -1 }).skip((q.page - 1) * q.limit).limit(q.limit),
+        Expense.countDocuments(filter),
+        Expense.aggregate([
+          { $match: filter },
+          { $group: { _id: null, amount: { $sum: "$amount" } } },
+        ]),
+      ]);
+      return reply.send({
+        success: true,
+        count: expenses.length,
+        totalAmount: sum[0]?.amount || 0,
+        data: expenses,
+        pagination: { page: q.page, limit: q.limit, totalPages: Math.ceil(totalItems / q.limit), totalItems },
+      });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Income vs Expenses and Net Operating Income (per property, per month or year)
+  app.get("/net-income", async (req, reply) => {
+    try {
+      const q = reportSchema.parse(req.query || {});
+      const year = q.year ?? new Date().getUTCFullYear();
+      const from = q.from ? new Date(q.from) : new Date(Date.UTC(year, 0, 1));
+      const to = q.to ? new Date(`${q.to}T23:59:59.999Z`) : new Date(Date.UTC(year, 11, 31, 23, 59, 59, 999));
+      if (from > to) {
+        return reply.code(400).send({ success: false, message: "from must be on or before to" });
+      }
+      const data = await netIncomeReport({
+        landlordId: req.user.sub,
+        propertyId: q.propertyId,
+        from,
+        to,
+        groupBy: q.groupBy,
+      });
+      return reply.send({ success: true, data });
+    } catch (err) {
+      if (err.issues) return sendError(err, reply);
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Get Expense
+  app.get("/:id", async (req, reply) => {
+    try {
+      const expense = await Expense.findOne({ _id: req.params.id, landlordId: req.user.sub });
+      if (!expense) {
+        return reply.code(404).send({ success: false, message: "Expense not found" });
+      }
+      return reply.send({ success: true, data: expense });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Update Expense
+  app.patch("/:id", async (req, reply) => {
+    try {
+      const body = updateSchema.parse(req.body);
+      const landlordId = req.user.sub;
+      const expense = await Expense.findOne({ _id: req.params.id, landlordId });
+      if (!expense) {
+        return reply.code(404).send({ success: false, message: "Expense not found" });
+      }
+      const invalid = await checkReferences({ landlordId, propertyId: expense.propertyId, ...body });
+      if (invalid) return reply.code(400).send({ success: false, message: invalid });
+
+      if (body.date) body.date = new Date(body.date);
+      expense.set(body);
+      await expense.save();
+      return reply.send({ success: true, message: "Expense updated", data: expense });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Delete Expense
+  app.delete("/:id", async (req, reply) => {
+    try {
+      const expense = await Expense.findOneAndDelete({ _id: req.params.id, landlordId: req.user.sub });
+      if (!expense) {
+        return reply.code(404).send({ success: false, message: "Expense not found" });
+      }
+      return reply.send({ success: true, message: "Expense deleted" });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+}
@@ -4,23 +4,46 @@ import Property from "../models/Property.js";
 import Unit from "../models/Unit.js";
 import Tenant from "../models/Tenant.js";
 import mongoose from "mongoose";
+import {
+  floorName,
+  floorNumbersFrom,
+  isValidFloorNumber,
+  renumberFloors,
+  shiftFloors,
+  MIN_FLOOR_NUMBER,
+  MAX_FLOOR_NUMBER,
+} from "../utils/floors.js";
+
+const floorNumberSchema = z
+  .number({ invalid_type_error: "floorNumber must be a number" })
+  .refine(isValidFloorNumber, {
+    message: `floorNumber must be a whole or half number (mezzanine) between ${MIN_FLOOR_NUMBER} and ${MAX_FLOOR_NUMBER}`,
+  });
 
 const createFloorSchema = z.object({
   propertyId: z.string().min(1),
-  count: z.number().int().positive().default(1)
-});
+  count: z.number().int().positive().default(1),
+  // explicit number for the first new floor; negative numbers are basements, x.5 a mezzanine
+  floorNumber: floorNumberSchema.optional(),
+  // without floorNumber: add above the top floor or below the lowest basement
+  position: z.enum(["top", "bottom"]).default("top"),
+  // move floors already using the requested numbers out of the way instead of failing
+  shift: z.boolean().default(false),
+  name: z.string().min(1).optional(),
+}).refine((b) => !b.name || b.count === 1, { message: "name can only be set when creating a single floor" });
 
 const updateFloorSchema = z.object({
-  name: z.string().min(1).optional(),
+  // null restores the generated name
+  name: z.string().min(1).nullable().optional(),
 });
 
-function floorName(i) {
-  if (i === 0) return "Ground Floor";
-  if (i === 1) return "1st Floor";
-  if (i === 2) return "2nd Floor";
-  if (i === 3) return "3rd Floor";
-  return `${i}th Floor`;
-}
+const renumberSchema = z.object({
+  propertyId: z.string().min(1),
+  floors: z.array(z.object({
+    floorId: z.string().min(1),
+    floorNumber: floorNumberSchema,
+  })).min(1, "floors cannot be empty"),
+});
 
 export default async function routes(app) {
   app.addHook("preHandler", app.auth);
@@ -28,7 +51,7 @@ export default async function routes(app) {
   // ✅ Create Floors
   app.post("/", async (req, reply) => {
     try {
-      const { propertyId, count } = createFloorSchema.parse(req.body);
+      const { propertyId, count, floorNumber, position, shift, name } = createFloorSchema.parse(req.body);
       const landlordId = req.user.sub;
 
       // Validate property ownership
@@ -37,34 +60,54 @@ export default async function routes(app) {
         return reply.code(404).send({ success: false, message: "Property not found" });
       }
 
-      // Find the maximum floorNumber for the property
-      const maxFloor = await Floor.findOne({ propertyId }).sort({ floorNumber: -1 });
-      let startFloorNumber = maxFloor ? maxFloor.floorNumber + 1 : 0;
+      let startFloorNumber = floorNumber;
+      if (startFloorNumber === undefined) {
+        if (position === "bottom") {
+          // Next basement below the lowest floor
+          const minFloor = await Floor.findOne({ propertyId, landlordId }).sort({ floorNumber: 1 });
+          startFloorNumber = minFloor ? Math.min(Math.ceil(minFloor.floorNumber) - 1, -1) : -1;
+        } else {
+          // Next floor above the maximum floorNumber
+          const maxFloor = await Floor.findOne({ propertyId, landlordId }).sort({ floorNumber: -1 });
+          startFloorNumber = maxFloor ? Math.max(Math.floor(maxFloor.floorNumber) + 1, 0) : 0;
+        }
+      }
+
+      const isMezzanine = !Number.isInteger(startFloorNumber);
+      if (isMezzanine && count > 1) {
+        return reply.code(400).send({ success: false, message: "Mezzanine floors can only be created one at a time" });
+      }
+      const floorNumbers = floorNumbersFrom(startFloorNumber, count);
+      const outOfRange = floorNumbers.find((n) => !isValidFloorNumber(n));
+      if (outOfRange !== undefined) {
+        return reply.code(400).send({ success: false, message: `Floor number ${outOfRange} is outside the allowed range` });
+      }
 
       // Check for existing floors to avoid duplicates
-      const existingFloors = await Floor.find({ propertyId, floorNumber: { $gte: startFloorNumber, $lt: startFloorNumber + count } });
+      const existingFloors = await Floor.find({ propertyId, landlordId, floorNumber: { $in: floorNumbers } });
       if (existingFloors.length > 0) {
-        return reply.code(409).send({ 
-          success: false, 
-          message: `Floor numbers ${existingFloors.map(f => f.floorNumber).join(", ")} already exist in this property` 
-        });
+        if (!shift || isMezzanine) {
+          return reply.code(409).send({
+            success: false,
+            message: `Floor numbers ${existingFloors.map(f => f.floorNumber).join(", ")} already exist in this property`
+              + (isMezzanine ? "" : "; pass shift: true to insert and move the existing floors"),
+          });
+        }
+        // Insert: existing floors (and their units) move away by `count`
+        await shiftFloors({ propertyId, landlordId, start: startFloorNumber, count });
       }
 
       // Create floors
-      const floors = [];
-      for (let i = 0; i < count; i++) {
-        const floorNumber = startFloorNumber + i;
-        const name = floorName(floorNumber);
-        floors.push({
-          landlordId,
-          propertyId,
-          floorNumber,
-          name,
-          unitsCount: 0,
-          vacant: 0,
-          occupied: 0
-        });
-      }
+      const floors = floorNumbers.map((n) => ({
+        landlordId,
+        propertyId,
+        floorNumber: n,
+        name: name || floorName(n),
+        isCustomName: Boolean(name),
+        unitsCount: 0,
+        vacant: 0,
+        occupied: 0
+      }));
 
       const createdFloors = await Floor.insertMany(floors);
 
@@ -133,14 +176,15 @@ export default async function routes(app) {
     try {
       const body = updateFloorSchema.parse(req.body);
       const landlordId = req.user.sub;
-      const floor = await Floor.findOneAndUpdate(
-        { _id: req.params.id, landlordId },
-        { $set: body },
-        { new: true }
-      );
+      const floor = await Floor.findOne({ _id: req.params.id, landlordId });
       if (!floor) {
         return reply.code(404).send({ success: false, message: "Floor not found" });
       }
+      if (body.name !== undefined) {
+        floor.name = body.name ?? floorName(floor.floorNumber);
+        floor.isCustomName = body.name !== null;
+      }
+      await floor.save();
       return reply.send({ success: true, message: "Floor updated successfully", data: floor });
     } catch (err) {
       if (err.issues) {
@@ -151,6 +195,28 @@ export default async function routes(app) {
     }
   });
 
+  // ✅ Renumber Floors (units stay attached to their floor)
+  app.post("/renumber", async (req, reply) => {
+    try {
+      const { propertyId, floors: changes } = renumberSchema.parse(req.body);
+      const landlordId = req.user.sub;
+
+      const property = await Property.findOne({ _id: propertyId, landlordId });
+      if (!property) {
+        return reply.code(404).send({ success: false, message: "Property not found" });
+      }
+
+      const floors = await renumberFloors({ propertyId, landlordId, changes });
+      return reply.send({ success: true, message: "Floors renumbered successfully", count: floors.length, data: floors });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map(e => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
   // ✅ Delete Floor
   app.delete("/:id", async (req, reply) => {
     try {
@@ -1,6 +1,8 @@
 import { z } from "zod";
 import Lease from "../models/Lease.js";
 import Unit from "../models/Unit.js";
+import { syncUnitOccupancy, updateFloorCounts, updatePropertyUnitCount } from "../utils/occupancy.js";
+import { propertyScopeFilter } from "../utils/access.js";
 
 const leaseSchema = z.object({
   tenantId: z.string(),
@@ -8,7 +10,8 @@ const leaseSchema = z.object({
   propertyId: z.string(),
   startDate: z.string(),
   monthlyRent: z.number().positive(),
-  dueDay: z.number().int().min(1).max(28).default(1),
+  // defaults to the property's billing.dueDay
+  dueDay: z.number().int().min(1).max(28).optional(),
   securityDeposit: z.number().nonnegative().optional(),
   penaltyOverride: z.object({
     enabled: z.boolean(),
@@ -30,16 +33,17 @@ export default async function routes(app) {
     const lease = await Lease.create({ landlordId, ...body, status: "active" });
     unit.currentLeaseId = lease._id;
     unit.status = "occupied";
-    unit.baseMonthlyRent = body.monthlyRent;
-    unit.rentHistory.push({ amount: body.monthlyRent, effectiveFrom: new Date(body.startDate), reason: "lease start", changedBy: landlordId });
     await unit.save();
+    await syncUnitOccupancy(unit._id, landlordId);
+    await updateFloorCounts(unit.propertyId, unit.floorId, landlordId);
+    await updatePropertyUnitCount(unit.propertyId, landlordId);
     return { lease };
   });
 
   app.get("/", async (req) => {
     const landlordId = req.user.sub;
     const { status } = req.query || {};
-    const q = { landlordId };
+    const q = { landlordId, ...propertyScopeFilter(req) };
     if (status) q.status = status;
     const list = await Lease.find(q).sort({ createdAt: -1 });
     return { leases: list };
@@ -56,8 +60,11 @@ export default async function routes(app) {
     const unit = await Unit.findOne({ _id: lease.unitId, landlordId });
     if (unit) {
       unit.currentLeaseId = null;
-      unit.status = "vacant";
       await unit.save();
+      // tenants assigned to the unit directly keep it occupied
+      await syncUnitOccupancy(unit._id, landlordId);
+      await updateFloorCounts(unit.propertyId, unit.floorId, landlordId);
+      await updatePropertyUnitCount(unit.propertyId, landlordId);
     }
     return { lease };
   });
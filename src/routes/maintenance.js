@@ -0,0 +1,316 @@
+import { z } from "zod";
+import mongoose from "mongoose";
+import MaintenanceRequest, {
+  MAINTENANCE_CATEGORIES,
+  MAINTENANCE_PRIORITIES,
+  MAINTENANCE_STATUSES,
+} from "../models/MaintenanceRequest.js";
+import Property from "../models/Property.js";
+import Unit from "../models/Unit.js";
+import Tenant from "../models/Tenant.js";
+import { changeStatus, photoSchema, raiseRequestSchema } from "../utils/maintenance.js";
+
+const { Types } = mongoose;
+
+const objectId = (label) => z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label}`);
+
+const vendorSchema = z.object({
+  name: z.string().trim().min(1, "Vendor name is required"),
+  phone: z.string().trim().optional(),
+  company: z.string().trim().optional(),
+});
+
+const createSchema = raiseRequestSchema.extend({
+  propertyId: objectId("property ID"),
+  unitId: objectId("unit ID").optional(),
+  tenantId: objectId("tenant ID").optional(),
+  vendor: vendorSchema.optional(),
+  cost: z.number().nonnegative().optional(),
+});
+
+const updateSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  description: z.string().max(5000).optional(),
+  category: z.enum(MAINTENANCE_CATEGORIES).optional(),
+  priority: z.enum(MAINTENANCE_PRIORITIES).optional(),
+  photos: z.array(photoSchema).max(10).optional(),
+  vendor: vendorSchema.nullable().optional(),
+  cost: z.number().nonnegative().nullable().optional(),
+});
+
+const statusSchema = z.object({
+  status: z.enum(MAINTENANCE_STATUSES),
+  note: z.string().max(1000).optional(),
+  // convenience: set the vendor / final cost in the same call
+  vendor: vendorSchema.optional(),
+  cost: z.number().nonnegative().optional(),
+});
+
+const billSchema = z.object({
+  // defaults to the request's tenant, or the only tenant living in the unit
+  tenantId: objectId("tenant ID").optional(),
+  // defaults to the request's cost
+  amount: z.number().positive().optional(),
+  description: z.string().max(200).optional(),
+});
+
+// comma-separated query values, e.g. ?status=open,assigned
+const csv = (values) => z.string().transform((v) => v.split(",").map((x) => x.trim()).filter(Boolean))
+  .pipe(z.array(z.enum(values)));
+
+const listSchema = z.object({
+  propertyId: objectId("property ID").optional(),
+  unitId: objectId("unit ID").optional(),
+  tenantId: objectId("tenant ID").optional(),
+  status: csv(MAINTENANCE_STATUSES).optional(),
+  category: csv(MAINTENANCE_CATEGORIES).optional(),
+  priority: csv(MAINTENANCE_PRIORITIES).optional(),
+  vendor: z.string().trim().min(1).optional(),
+  from: z.string().date().optional(),
+  to: z.string().date().optional(),
+  sort: z.enum(["createdAt", "-createdAt", "priority", "-priority", "cost", "-cost"]).default("-createdAt"),
+  page: z.string().regex(/^\d+$/).default("1").transform(Number),
+  limit: z.string().regex(/^\d+$/).default("20").transform((v) => Math.min(Number(v) || 20, 100)),
+});
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A tenant can only be attached to requests for a property they live or lived in
+async function findPropertyTenant(tenantId, propertyId, landlordId) {
+  const tenant = await Tenant.findOne({ _id: tenantId, landlordId });
+  if (!tenant) return { code: 404, message: "Tenant not found" };
+  const lived = [tenant.propertyId, ...(tenant.tenantHistory || []).map((h) => h.propertyId)]
+    .some((id) => id && id.toString() === propertyId.toString());
+  if (!lived) return { code: 400, message: "Tenant does not live in this request's property" };
+  return { tenant };
+}
+
+function sendError(err, reply) {
+  if (err.issues) {
+    const messages = err.issues.map(e => e.message);
+    return reply.code(400).send({ success: false, message: messages.join(", ") });
+  }
+  return reply.code(400).send({ success: false, message: err.message });
+}
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+
+  // ✅ Raise Maintenance Request
+  app.post("/", async (req, reply) => {
+    try {
+      const body = createSchema.parse(req.body);
+      const landlordId = req.user.sub;
+
+      const property = await Property.findOne({ _id: body.propertyId, landlordId });
+      if (!property) {
+        return reply.code(404).send({ success: false, message: "Property not found" });
+      }
+      if (body.unitId) {
+        const unit = await Unit.findOne({ _id: body.unitId, propertyId: body.propertyId, landlordId });
+        if (!unit) {
+          return reply.code(400).send({ success: false, message: `Unit ${body.unitId} not found in property '${property.name}'` });
+        }
+      }
+      if (body.tenantId) {
+        const found = await findPropertyTenant(body.tenantId, body.propertyId, landlordId);
+        if (!found.tenant) {
+          return reply.code(found.code).send({ success: false, message: found.message });
+        }
+      }
+
+      const request = await MaintenanceRequest.create({
+        ...body,
+        landlordId,
+        raisedBy: { kind: "landlord", userId: req.user.uid },
+        statusHistory: [{ status: "open", by: req.user.uid }],
+      });
+      return reply.code(201).send({ success: true, message: "Maintenance request created", data: request });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ List Maintenance Requests (filterable)
+  app.get("/", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const q = listSchema.parse(req.query || {});
+
+      // ObjectIds up front: the priority sort runs as an aggregate, which does not cast
+      const filter = { landlordId: new Types.ObjectId(landlordId) };
+      if (q.propertyId) filter.propertyId = new Types.ObjectId(q.propertyId);
+      if (q.unitId) filter.unitId = new Types.ObjectId(q.unitId);
+      if (q.tenantId) filter.tenantId = new Types.ObjectId(q.tenantId);
+      if (q.status) filter.status = { $in: q.status };
+      if (q.category) filter.category = { $in: q.category };
+      if (q.priority) filter.priority = { $in: q.priority };
+      if (q.vendor) filter["vendor.name"] = { $regex: escapeRegex(q.vendor), $options: "i" };
+      if (q.from || q.to) {
+        filter.createdAt = {};
+        if (q.from) filter.createdAt.$gte = new Date(q.from);
+        if (q.to) filter.createdAt.$lte = new Date(`${q.to}T23:59:59.999Z`);
+      }
+
+      const field = q.sort.replace(/^-/, "");
+      const direction = q.sort.startsWith("-") ? -1 : 1;
+      let requests;
+      if (field === "priority") {
+        // rank by severity rather than alphabetically
+        requests = await MaintenanceRequest.aggregate([
+          { $match: filter },
+          { $addFields: { priorityRank: { $indexOfArray: [MAINTENANCE_PRIORITIES, "$priority"] } } },
+          { $sort: { priorityRank: direction, createdAt: -1 } },
+          { $skip: (q.page - 1) * q.limit },
+          { $limit: q.limit },
+          { $project: { priorityRank: 0 } },
+        ]);
+      } else {
+        requests = await MaintenanceRequest.find(filter)
+          .sort({ [field]: direction, _id: direction })
+          .skip((q.page - 1) * q.limit)
+          .limit(q.limit);
+      }
+      const total = await MaintenanceRequest.countDocuments(filter);
+
+      return reply.send({
+        success: true,
+        count: requests.length,
+        data: requests,
+        pagination: { page: q.page, limit: q.limit, totalPages: Math.ceil(total / q.limit), totalItems: total },
+      });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Get Maintenance Request
+  app.get("/:id", async (req, reply) => {
+    try {
+      const request = await MaintenanceRequest.findOne({ _id: req.params.id, landlordId: req.user.sub });
+      if (!request) {
+        return reply.code(404).send({ success: false, message: "Maintenance request not found" });
+      }
+      return reply.send({ success: true, data: request });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Update Maintenance Request
+  app.patch("/:id", async (req, reply) => {
+    try {
+      const body = updateSchema.parse(req.body);
+      const request = await MaintenanceRequest.findOne({ _id: req.params.id, landlordId: req.user.sub });
+      if (!request) {
+        return reply.code(404).send({ success: false, message: "Maintenance request not found" });
+      }
+      if (request.billing && body.cost !== undefined) {
+        return reply.code(409).send({ success: false, message: "Cost cannot change after it has been billed to the tenant" });
+      }
+      if (body.vendor === null && ["assigned", "in_progress"].includes(request.status)) {
+        return reply.code(400).send({ success: false, message: "An assigned request needs a vendor" });
+      }
+      for (const [key, value] of Object.entries(body)) {
+        request[key] = value === null ? undefined : value;
+      }
+      await request.save();
+      return reply.send({ success: true, message: "Maintenance request updated", data: request });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Change Status (open → assigned → in_progress → resolved)
+  app.post("/:id/status", async (req, reply) => {
+    try {
+      const body = statusSchema.parse(req.body);
+      const request = await MaintenanceRequest.findOne({ _id: req.params.id, landlordId: req.user.sub });
+      if (!request) {
+        return reply.code(404).send({ success: false, message: "Maintenance request not found" });
+      }
+      if (body.vendor) request.vendor = body.vendor;
+      if (body.cost !== undefined) {
+        if (request.billing) {
+          return reply.code(409).send({ success: false, message: "Cost cannot change after it has been billed to the tenant" });
+        }
+        request.cost = body.cost;
+      }
+      const refused = changeStatus(request, body.status, { by: req.user.uid, note: body.note });
+      if (refused) {
+        return reply.code(409).send({ success: false, message: refused });
+      }
+      await request.save();
+      return reply.send({ success: true, message: `Request ${body.status.replace("_", " ")}`, data: request });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+
+  // ✅ Bill Cost to Tenant (added to the tenant's dues as an extra charge)
+  app.post("/:id/bill", async (req, reply) => {
+    try {
+      const body = billSchema.parse(req.body || {});
+      const landlordId = req.user.sub;
+      const request = await MaintenanceRequest.findOne({ _id: req.params.id, landlordId });
+      if (!request) {
+        return reply.code(404).send({ success: false, message: "Maintenance request not found" });
+      }
+      if (request.billing) {
+        return reply.code(409).send({ success: false, message: "This request has already been billed" });
+      }
+      if (request.status === "cancelled") {
+        return reply.code(409).send({ success: false, message: "Cancelled requests cannot be billed" });
+      }
+      const amount = body.amount ?? request.cost;
+      if (!amount) {
+        return reply.code(400).send({ success: false, message: "Set the request's cost or pass an amount to bill" });
+      }
+
+      let tenantId = body.tenantId || request.tenantId;
+      if (!tenantId && request.unitId) {
+        const occupants = await Tenant.find({ unitId: request.unitId, landlordId }).select("_id");
+        if (occupants.length === 1) tenantId = occupants[0]._id;
+        else if (occupants.length > 1) {
+          return reply.code(400).send({ success: false, message: "Several tenants live in this unit; pass tenantId" });
+        }
+      }
+      if (!tenantId) {
+        return reply.code(400).send({ success: false, message: "No tenant to bill; pass tenantId" });
+      }
+      const found = await findPropertyTenant(tenantId, request.propertyId, landlordId);
+      if (!found.tenant) {
+        return reply.code(found.code).send({ success: false, message: found.message });
+      }
+      const { tenant } = found;
+
+      // claim the request first so two concurrent calls cannot both charge the tenant
+      const chargedAt = new Date();
+      const billed = await MaintenanceRequest.findOneAndUpdate(
+        { _id: request._id, landlordId, billing: { $exists: false } },
+        { $set: { billing: { tenantId: tenant._id, amount, chargedAt } } },
+        { new: true }
+      );
+      if (!billed) {
+        return reply.code(409).send({ success: false, message: "This request has already been billed" });
+      }
+      try {
+        tenant.extraCharges.push({
+          amount,
+          description: body.description || `Maintenance: ${request.title}`,
+          source: "maintenance",
+          maintenanceRequestId: request._id,
+          chargedAt,
+        });
+        await tenant.save();
+      } catch (err) {
+        await MaintenanceRequest.updateOne({ _id: request._id, landlordId }, { $unset: { billing: 1 } });
+        throw err;
+      }
+
+      return reply.send({ success: true, message: "Cost billed to tenant", data: billed });
+    } catch (err) {
+      return sendError(err, reply);
+    }
+  });
+}
@@ -0,0 +1,346 @@
+import crypto from "crypto";
+import { z } from "zod";
+import Tenant from "../models/Tenant.js";
+import TenantOtp from "../models/TenantOtp.js";
+import Property from "../models/Property.js";
+import Unit from "../models/Unit.js";
+import Floor from "../models/Floor.js";
+import MaintenanceRequest from "../models/MaintenanceRequest.js";
+import { tenantDuesWithPolicy } from "../utils/billingPolicy.js";
+import { raiseRequestSchema, tenantRequestView } from "../utils/maintenance.js";
+import { sendDocument } from "../utils/tenantDocuments.js";
+import { hashToken, tokenMatchesHash } from "../utils/tokens.js";
+import { sendSms } from "../utils/sms.js";
+import { lockRemaining, recordFailure, consumeRateLimit, retryMessage } from "../utils/throttle.js";
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OTP_RESEND_LIMIT = { limit: 1, windowMs: 60 * 1000 }; // per phone number
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_SEND_IP_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
+const OTP_VERIFY_IP_POLICY = { maxFailures: 20 };
+
+const phoneSchema = z.string().regex(/^\d{10,15}$/, "Phone number must be 10–15 digits");
+
+const requestOtpSchema = z.object({ phone: phoneSchema });
+
+const verifyOtpSchema = z.object({
+  phone: phoneSchema,
+  otp: z.string().regex(/^\d{6}$/, "OTP must be 6 digits"),
+});
+
+function handleZodError(err, reply) {
+  return reply.code(400).send({
+    success: false,
+    message: "Validation failed",
+    errors: err.errors.map((e) => ({ field: e.path.join("."), message: e.message })),
+  });
+}
+
+// A tenant may only see tenancy records registered under the phone they logged in with
+async function findOwnTenancy(req) {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) return null;
+  return Tenant.findOne({ _id: req.params.id, phone: req.user.sub });
+}
+
+async function duesView(tenant) {
+  const d = await tenantDuesWithPolicy(tenant);
+  return {
+    status: d.status,
+    due: d.due,
+    overpaid: d.overpaid,
+    dueAmountDate: d.dueAmountDate,
+    overdue: d.overdue,
+    penalty: d.penalty,
+    flatRent: {
+      totalExpected: d.totalExpectedRent,
+      totalPaid: d.totalRentPaid,
+      due: d.rentDue,
+      overpaid: d.rentOverpaid,
+    },
+    electricity: {
+      totalExpected: d.totalElectricityCost,
+      totalPaid: d.totalElectricityPaid,
+      due: d.electricityDue,
+      overpaid: d.electricityOverpaid,
+      perUnitCost: tenant.electricityPerUnit,
+      startingUnit: tenant.startingUnit,
+      currentUnit: tenant.currentUnit,
+    },
+    extraCharges: {
+      total: d.totalExtraCharges,
+      totalPaid: d.totalExtraChargesPaid,
+      due: d.extraChargesDue,
+      items: (tenant.extraCharges || []).map((c) => ({
+        amount: c.amount,
+        description: c.description,
+        chargedAt: c.chargedAt,
+      })),
+    },
+  };
+}
+
+async function unitView(tenant) {
+  if (!tenant.unitId) return null;
+  const unit = await Unit.findOne({ _id: tenant.unitId, landlordId: tenant.landlordId });
+  if (!unit) return null;
+  const [floor, property] = await Promise.all([
+    Floor.findById(unit.floorId).select("name floorNumber"),
+    Property.findById(unit.propertyId).select("name address"),
+  ]);
+  return {
+    id: unit._id,
+    unitLabel: unit.unitLabel,
+    floor: floor ? { name: floor.name, floorNumber: floor.floorNumber } : null,
+    property: property ? { name: property.name, address: property.address } : null,
+  };
+}
+
+// Send a login code to `phone` if it belongs to a tenant
+async function issueLoginOtp(phone) {
+  const isTenant = await Tenant.exists({ phone });
+  if (!isTenant) return;
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  await TenantOtp.deleteMany({ phone });
+  await TenantOtp.create({
+    phone,
+    codeHash: hashToken(otp),
+    expiresAt: new Date(Date.now() + OTP_TTL_MS),
+  });
+  await sendSms({ to: phone, body: `Your HomeNest login code is ${otp}. It expires in 10 minutes.` });
+}
+
+export default async function routes(app) {
+  // ✅ Request Login OTP
+  app.post("/auth/request-otp", async (req, reply) => {
+    try {
+      const { phone } = requestOtpSchema.parse(req.body || {});
+      const retryAfter = await consumeRateLimit(`portal-otp-send:ip:${req.ip}`, OTP_SEND_IP_LIMIT);
+      if (retryAfter) {
+        return reply.code(429).send({ success: false, message: retryMessage(retryAfter) });
+      }
+      // The cooldown applies to every number, tenant or not, so it reveals nothing
+      const cooldown = await consumeRateLimit(`portal-otp-send:phone:${phone}`, OTP_RESEND_LIMIT);
+      if (cooldown) {
+        return reply.code(429).send({ success: false, message: "Please wait before requesting another OTP" });
+      }
+
+      // Issued in the background: same response, and the same response time, for every number
+      issueLoginOtp(phone).catch((err) => req.log.error(err));
+
+      return reply.send({ success: true, message: "If this number is registered, an OTP has been sent" });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      req.log.error(err);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // ✅ Verify OTP and Issue Tenant Token
+  app.post("/auth/verify-otp", async (req, reply) => {
+    try {
+      const { phone, otp } = verifyOtpSchema.parse(req.body || {});
+      const ipKey = `portal-otp-verify:ip:${req.ip}`;
+      const locked = await lockRemaining([ipKey]);
+      if (locked) {
+        return reply.code(429).send({ success: false, message: retryMessage(locked) });
+      }
+
+      const record = await TenantOtp.findOne({ phone, consumedAt: null, expiresAt: { $gt: new Date() } });
+      if (!record) {
+        await recordFailure(ipKey, OTP_VERIFY_IP_POLICY);
+        return reply.code(400).send({ success: false, message: "Invalid or expired OTP" });
+      }
+
+      if (!tokenMatchesHash(otp, record.codeHash)) {
+        await recordFailure(ipKey, OTP_VERIFY_IP_POLICY);
+        record.attempts += 1;
+        // Too many wrong guesses burn the code; the tenant has to request a new one
+        if (record.attempts >= OTP_MAX_ATTEMPTS) record.consumedAt = new Date();
+        await record.save();
+        return reply.code(400).send({ success: false, message: "Invalid or expired OTP" });
+      }
+
+      record.consumedAt = new Date();
+      await record.save();
+
+      const token = app.jwt.sign(
+        { sub: phone, kind: "tenant" },
+        { expiresIn: process.env.TENANT_TOKEN_TTL || "12h" }
+      );
+      return reply.send({ success: true, token });
+    } catch (err) {
+      if (err instanceof z.ZodError) return handleZodError(err, reply);
+      req.log.error(err);
+      return reply.code(500).send({ success: false, message: "Internal server error" });
+    }
+  });
+
+  app.register(async (tenantApp) => {
+    tenantApp.addHook("preHandler", app.tenantAuth);
+
+    // ✅ List Own Tenancies (one phone can rent from several landlords)
+    tenantApp.get("/tenancies", async (req, reply) => {
+      try {
+        const tenants = await Tenant.find({ phone: req.user.sub })
+          .sort({ createdAt: -1 })
+          .populate("propertyId", "name address");
+        // each tenancy may be with a different landlord, so policies load one by one
+        const dues = await Promise.all(tenants.map((t) => tenantDuesWithPolicy(t)));
+        return reply.send({
+          success: true,
+          tenancies: tenants.map((t, i) => {
+            const d = dues[i];
+            return {
+              id: t._id,
+              name: t.name,
+              property: t.propertyId ? { name: t.propertyId.name, address: t.propertyId.address } : null,
+              startingDate: t.startingDate,
+              endingDate: t.endingDate,
+              monthlyRent: t.monthlyRent,
+              status: d.status,
+              due: d.due,
+            };
+          }),
+        });
+      } catch (err) {
+        return reply.code(500).send({ success: false, message: err.message });
+      }
+    });
+
+    // ✅ Tenancy Summary with Dues and Unit
+    tenantApp.get("/tenancies/:id", async (req, reply) => {
+      try {
+        const tenant = await findOwnTenancy(req);
+        if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+        return reply.send({
+          success: true,
+          tenancy: {
+            id: tenant._id,
+            name: tenant.name,
+            phone: tenant.phone,
+            email: tenant.email,
+            startingDate: tenant.startingDate,
+            endingDate: tenant.endingDate,
+            monthlyRent: tenant.monthlyRent,
+            depositMoney: tenant.depositMoney,
+            unit: await unitView(tenant),
+            dues: await duesView(tenant),
+          },
+        });
+      } catch (err) {
+        return reply.code(500).send({ success: false, message: err.message });
+      }
+    });
+
+    // ✅ Dues
+    tenantApp.get("/tenancies/:id/dues", async (req, reply) => {
+      const tenant = await findOwnTenancy(req);
+      if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+      return reply.send({ success: true, dues: await duesView(tenant) });
+    });
+
+    // ✅ Payment History
+    tenantApp.get("/tenancies/:id/rent-history", async (req, reply) => {
+      const tenant = await findOwnTenancy(req);
+      if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+      const rentHistory = (tenant.rentHistory || [])
+        .map((rh) => ({
+          amount: rh.amount,
+          paidAt: rh.paidAt,
+          status: rh.status,
+          rentType: rh.rentType || "flat_rent",
+          previousUnit: rh.previousUnit,
+          currentUnit: rh.currentUnit,
+        }))
+        .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+      return reply.send({ success: true, rentHistory });
+    });
+
+    // ✅ Rent Changes
+    tenantApp.get("/tenancies/:id/rent-changes", async (req, reply) => {
+      const tenant = await findOwnTenancy(req);
+      if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+      const rentChanges = (tenant.rentChanges || [])
+        .map((rc) => ({ amount: rc.amount, effectiveFrom: rc.effectiveFrom }))
+        .sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+      return reply.send({ success: true, rentChanges });
+    });
+
+    // ✅ Documents
+    tenantApp.get("/tenancies/:id/documents", async (req, reply) => {
+      try {
+        const tenant = await findOwnTenancy(req);
+        if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+        const documents = (tenant.documents || []).map((d) => ({
+          _id: d._id,
+          type: d.type,
+          fileName: d.fileName,
+          contentType: d.contentType,
+          size: d.size,
+          checksum: d.checksum,
+          // uploaded files download from the endpoint below; older entries are plain links
+          fileUrl: d.storageKey ? undefined : d.fileUrl,
+          uploadedAt: d.uploadedAt,
+        }));
+        return reply.send({ success: true, documents });
+      } catch (err) {
+        return reply.code(500).send({ success: false, message: err.message });
+      }
+    });
+
+    // ✅ Download Document
+    tenantApp.get("/tenancies/:id/documents/:documentId/download", async (req, reply) => {
+      try {
+        const tenant = await findOwnTenancy(req);
+        if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+        return await sendDocument(reply, tenant, req.params.documentId);
+      } catch (err) {
+        return reply.code(500).send({ success: false, message: err.message });
+      }
+    });
+
+    // ✅ Unit Details
+    tenantApp.get("/tenancies/:id/unit", async (req, reply) => {
+      const tenant = await findOwnTenancy(req);
+      if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+      return reply.send({ success: true, unit: await unitView(tenant) });
+    });
+
+    // ✅ Maintenance Requests
+    tenantApp.get("/tenancies/:id/maintenance", async (req, reply) => {
+      const tenant = await findOwnTenancy(req);
+      if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+      const requests = await MaintenanceRequest.find({ landlordId: tenant.landlordId, tenantId: tenant._id })
+        .sort({ createdAt: -1 })
+        .limit(100);
+      return reply.send({ success: true, requests: requests.map(tenantRequestView) });
+    });
+
+    // ✅ Raise Maintenance Request (for the tenant's current unit)
+    tenantApp.post("/tenancies/:id/maintenance", async (req, reply) => {
+      try {
+        const body = raiseRequestSchema.parse(req.body || {});
+        const tenant = await findOwnTenancy(req);
+        if (!tenant) return reply.code(404).send({ success: false, message: "Tenancy not found" });
+        if (!tenant.propertyId) {
+          return reply.code(400).send({ success: false, message: "This tenancy is not assigned to a property" });
+        }
+        const request = await MaintenanceRequest.create({
+          ...body,
+          landlordId: tenant.landlordId,
+          propertyId: tenant.propertyId,
+          unitId: tenant.unitId || null,
+          tenantId: tenant._id,
+          raisedBy: { kind: "tenant" },
+          statusHistory: [{ status: "open" }],
+        });
+        return reply.code(201).send({ success: true, request: tenantRequestView(request) });
+      } catch (err) {
+        if (err instanceof z.ZodError) return handleZodError(err, reply);
+        req.log.error(err);
+        return reply.code(500).send({ success: false, message: "Internal server error" });
+      }
+    });
+  });
+}
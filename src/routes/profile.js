@@ -1,8 +1,22 @@
 import { z } from "zod";
+import argon2 from "argon2";
 import Property from "../models/Property.js";
 import Tenant from "../models/Tenant.js";
 import User from "../models/User.js"; // Import User model
 import mongoose from "mongoose";
+import { exportLandlordData, deleteLandlordData } from "../utils/accountData.js";
+import { createZip } from "../utils/zip.js";
+import { documentLimitFor } from "../utils/tenantDocuments.js";
+
+const settingsSchema = z.object({
+  // null goes back to the server default (TENANT_DOCUMENT_LIMIT)
+  tenantDocumentLimit: z.number().int().min(1).max(100).nullable().optional(),
+});
+
+const deleteAccountSchema = z.object({
+  confirmEmail: z.string({ required_error: "Type your account email to confirm" }),
+  password: z.string().optional()
+});
 
 export default async function routes(app) {
   app.addHook("preHandler", app.auth);
@@ -48,4 +62,74 @@ export default async function routes(app) {
       return reply.code(500).send({ success: false, message: err.message });
     }
   });
-}
\ No newline at end of file
+
+  // ✅ Account Settings
+  app.get("/settings", async (req, reply) => {
+    return reply.send({ success: true, data: { tenantDocumentLimit: await documentLimitFor(req.user.sub) } });
+  });
+
+  app.patch("/settings", async (req, reply) => {
+    try {
+      const body = settingsSchema.parse(req.body || {});
+      const user = await User.findById(req.user.sub);
+      if (!user) {
+        return reply.code(404).send({ success: false, message: "User not found" });
+      }
+      if (body.tenantDocumentLimit !== undefined) {
+        user.tenantDocumentLimit = body.tenantDocumentLimit ?? undefined;
+      }
+      await user.save();
+      return reply.send({ success: true, data: { tenantDocumentLimit: await documentLimitFor(user._id) } });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Export All Account Data (zip with one JSON file per collection)
+  app.get("/export", { preHandler: [app.requireVerifiedEmail] }, async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const files = await exportLandlordData(landlordId);
+      const stamp = new Date().toISOString().slice(0, 10);
+
+      return reply
+        .header("Content-Type", "application/zip")
+        .header("Content-Disposition", `attachment; filename="homenest-export-${stamp}.zip"`)
+        .send(createZip(files));
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Delete Account and All Its Data
+  app.delete("/", { preHandler: [app.requireVerifiedEmail] }, async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const body = deleteAccountSchema.parse(req.body || {});
+
+      const user = await User.findById(landlordId);
+      if (!user) {
+        return reply.code(404).send({ success: false, message: "User not found" });
+      }
+      if (body.confirmEmail.trim().toLowerCase() !== user.email) {
+        return reply.code(400).send({ success: false, message: "Confirmation email does not match your account" });
+      }
+      if (user.passwordHash && !(await argon2.verify(user.passwordHash, body.password || ""))) {
+        return reply.code(401).send({ success: false, message: "Invalid password" });
+      }
+
+      const deleted = await deleteLandlordData(landlordId);
+      return reply.send({ success: true, message: "Account and all its data deleted", deleted });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+}
@@ -4,6 +4,14 @@ import Floor from "../models/Floor.js";
 import Unit from "../models/Unit.js";
 import Tenant from "../models/Tenant.js";
 import mongoose from "mongoose";
+import { billingSettingsSchema, billingUpdate, tenantDuesWithPolicies } from "../utils/billingPolicy.js";
+import { floorName, MIN_FLOOR_NUMBER } from "../utils/floors.js";
+import { planUnitLayout, unitLayoutSchema } from "../utils/unitLayout.js";
+import { updateFloorCounts, updatePropertyUnitCount } from "../utils/occupancy.js";
+import { archiveFields, RESTORE_FIELDS } from "../utils/softDelete.js";
+import { listTrash } from "../utils/trash.js";
+import { propertyScopeFilter } from "../utils/access.js";
+import { askingRentOn } from "../utils/askingRent.js";
 
 const propertySchema = z.object({
   name: z
@@ -26,416 +34,111 @@ const propertySchema = z.object({
     })
     .int("Floors must be an integer")
     .min(1, "Floors must be at least 1"),
+  // below-ground floors, created as Basement 1..N
+  basements: z
+    .number({ invalid_type_error: "Basements must be a number" })
+    .int("Basements must be an integer")
+    .min(0, "Basements cannot be negative")
+    .max(-MIN_FLOOR_NUMBER, `Basements cannot exceed ${-MIN_FLOOR_NUMBER}`)
+    .optional(),
+  // defaults inherited by this property's tenants and leases
+  billing: billingSettingsSchema.optional(),
+  // units to generate on the new floors, e.g. { unitsPerFloor: 4, pattern: "{floor}{nn}" }
+  layout: unitLayoutSchema.optional(),
 });
 // Update schema without floors to prevent changing floor count
-const updateSchema = propertySchema.omit({ floors: true }).partial();
-function floorName(i) {
-  if (i === 0) return "Ground Floor";
-  if (i === 1) return "1st Floor";
-  if (i === 2) return "2nd Floor";
-  if (i === 3) return "3rd Floor";
-  return `${i}th Floor`;
-}
-// Function to get applicable rent for a specific month
-function getRentForMonth(year, month, rentChanges, defaultRent) {
-  if (!rentChanges || rentChanges.length === 0) {
-    return defaultRent || 0;
-  }
-  const monthStart = new Date(year, month, 1);
-  const monthEnd   = new Date(year, month + 1, 0);
-  let applicableRent = defaultRent !== undefined ? defaultRent : rentChanges[0].amount;
-  for (const change of rentChanges) {
-    const effective = new Date(change.effectiveFrom);
-    if (effective <= monthEnd) {
-      applicableRent = change.amount;
-    } else {
-      break;
-    }
-  }
-  return applicableRent;
-}
-
-// Updated calculation function without dueDate concept
-function calculateTenantStatusAndDue(tenant, currentDate = new Date()) {
-  // Case 1: never assigned to any unit/property
-  if (
-    tenant.propertyId &&
-    typeof tenant.propertyId === "object" &&
-    tenant.propertyId._id
-  ) {
-    tenant.propertyId = tenant.propertyId._id;
-  }
-  if (tenant.unitId && typeof tenant.unitId === "object" && tenant.unitId._id) {
-    tenant.unitId = tenant.unitId._id;
-  }
-  if (tenant.tenantHistory?.length) {
-    tenant.tenantHistory = tenant.tenantHistory.map((h) => ({
-      ...h,
-      propertyId:
-        h.propertyId && typeof h.propertyId === "object" && h.propertyId._id
-          ? h.propertyId._id
-          : h.propertyId || null,
-    }));
-  }
-
-  // Case 1: Never assigned to any property
-  const hasValidHistory = tenant.tenantHistory?.some((h) => h.propertyId);
-  if (!tenant.propertyId && !hasValidHistory) {
-    return [
-      {
-        status: "Unassigned",
-        due: 0,
-        overpaid: 0,
-        dueAmountDate: null,
-        totalPaid: 0,
-        totalExpectedRent: 0,
-        totalElectricityCost: 0,
-        propertyId: null,
-      },
-    ];
-  }
-
-  // 🚫 Case 2: No starting date yet (assigned but not active)
-  if (!tenant.startingDate) {
-    return [
-      {
-        status: "Due",
-        due: 0,
-        overpaid: 0,
-        dueAmountDate: null,
-        totalPaid: 0,
-        totalExpectedRent: 0,
-        totalElectricityCost: 0,
-        propertyId: tenant.propertyId || null,
-      },
-    ];
-  }
-
-  const start = new Date(tenant.startingDate);
-  const globalEnd = tenant.endingDate
-    ? new Date(tenant.endingDate)
-    : currentDate;
-
-  // 🔥 BUILD PERIODS FROM TENANT HISTORY
-  let periods = [];
-  const history = (tenant.tenantHistory || [])
-    .filter((h) => h.propertyId) // Only valid property assignments
-    .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
-
-  if (history.length === 0) {
-    // No history: tenant stayed in current property from start to end
-    if (tenant.propertyId) {
-      periods.push({
-        propertyId: tenant.propertyId,
-        startDate: start,
-        endDate: globalEnd,
-      });
-    }
-  } else {
-    // Build periods from history
-    for (let i = 0; i < history.length; i++) {
-      const h = history[i];
-      const periodStart = new Date(h.updatedAt);
-
-      // Determine period end
-      let periodEnd;
-      if (i < history.length - 1) {
-        // Next history entry exists
-        periodEnd = new Date(history[i + 1].updatedAt);
-      } else {
-        // Last history entry
-        // Check if tenant is still in this property or moved/unassigned
-        if (
-          tenant.propertyId &&
-          tenant.propertyId.toString() === h.propertyId.toString()
-        ) {
-          // Still in same property
-          periodEnd = globalEnd;
-        } else if (!tenant.propertyId) {
-          // Tenant was unassigned - find unassignment date from history
-          const nextEntry = tenant.tenantHistory.find(
-            (entry, idx) => idx > i && !entry.propertyId
-          );
-          periodEnd = nextEntry ? new Date(nextEntry.updatedAt) : globalEnd;
-        } else {
-          // Moved to different property - period ends here
-          periodEnd = periodStart;
-        }
-      }
-
-      // Only add if period has valid duration
-      if (periodStart <= periodEnd) {
-        periods.push({
-          propertyId: h.propertyId,
-          startDate: periodStart,
-          endDate: periodEnd,
-        });
-      }
-    }
-    // 🔄 Merge consecutive periods for the same property
-    if (periods.length > 1) {
-      const merged = [];
-      for (let i = 0; i < periods.length; i++) {
-        const last = merged[merged.length - 1];
-        const current = periods[i];
-
-        // If same property as last one, and starts right after or overlaps
-        if (
-          last &&
-          last.propertyId &&
-          current.propertyId &&
-          last.propertyId.toString() === current.propertyId.toString() &&
-          new Date(current.startDate) <= new Date(last.endDate)
-        ) {
-          // Extend last period’s end date
-          last.endDate = new Date(
-            Math.max(last.endDate.getTime(), current.endDate.getTime())
-          );
-        } else {
-          merged.push({ ...current });
-        }
-      }
-      periods = merged;
-    }
-
-    // Add current property if different from last history
-    const lastHistoryProperty = history[history.length - 1].propertyId;
-    if (
-      tenant.propertyId &&
-      tenant.propertyId.toString() !== lastHistoryProperty.toString()
-    ) {
-      const lastHistoryDate = new Date(history[history.length - 1].updatedAt);
-      periods.push({
-        propertyId: tenant.propertyId,
-        startDate: lastHistoryDate,
-        endDate: globalEnd,
-      });
-    }
-  }
-
-  // Initialize results
-  const results = periods.map((p) => ({
-    propertyId: p.propertyId,
-    status: "Inactive",
-    due: 0,
-    overpaid: 0,
-    dueAmountDate: null,
-    totalPaid: 0,
-    totalExpectedRent: 0,
-    totalElectricityCost: 0,
-  }));
-
-  // Expected rent calculations using day-based logic
-  const rentChanges = (tenant.rentChanges || []).sort(
-    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
-  );
-
-  // Calculate rent for each period
-  for (let periodIndex = 0; periodIndex < periods.length; periodIndex++) {
-    const period = periods[periodIndex];
-    const periodStart = period.startDate;
-    const periodEnd = period.endDate;
-
-    // Skip if period start is after current date
-    if (periodStart > currentDate) continue;
-
-    let current = new Date(
-      periodStart.getFullYear(),
-      periodStart.getMonth(),
-      1
-    );
-
-    while (current <= periodEnd && current <= currentDate) {
-      const monthRent = getRentForMonth(
-        current.getFullYear(),
-        current.getMonth(),
-        rentChanges,
-        tenant.monthlyRent
-      );
-
-      const monthStart = new Date(current);
-      const monthEnd = new Date(
-        current.getFullYear(),
-        current.getMonth() + 1,
-        0
-      );
-
-      // Determine the actual start and end dates for this month within the period
-      const actualStart = monthStart < periodStart ? periodStart : monthStart;
-      const actualEnd = monthEnd > periodEnd ? periodEnd : monthEnd;
-      const finalEnd = actualEnd > currentDate ? currentDate : actualEnd;
-
-      // Calculate days in this billing period
-      const daysInMonth = monthEnd.getDate();
-      const startDay = actualStart.getDate();
-      const endDay = finalEnd.getDate();
-
-      // Calculate days occupied
-      let daysOccupied;
-      if (
-        actualStart.getMonth() === finalEnd.getMonth() &&
-        actualStart.getFullYear() === finalEnd.getFullYear()
-      ) {
-        // Same month - calculate days difference
-        daysOccupied = endDay - startDay + 1;
-      } else {
-        // Full month or partial month at the end
-        if (
-          current.getMonth() === periodStart.getMonth() &&
-          current.getFullYear() === periodStart.getFullYear()
-        ) {
-          // First month - from start date to end of month
-          daysOccupied = daysInMonth - startDay + 1;
-        } else if (
-          current.getMonth() === finalEnd.getMonth() &&
-          current.getFullYear() === finalEnd.getFullYear()
-        ) {
-          // Last month - from start of month to current date
-          daysOccupied = endDay;
-        } else {
-          // Full month in between
-          daysOccupied = daysInMonth;
-        }
-      }
-
-      // Apply the rent calculation logic:
-      // - If full month (all days occupied): full rent
-      // - If 16+ days: full rent
-      // - If 1-15 days: half rent
-      let rentForThisPeriod = 0;
-
-      if (daysOccupied >= daysInMonth) {
-        // Full month
-        rentForThisPeriod = monthRent;
-      } else if (daysOccupied >= 16) {
-        // 16 or more days = full month rent
-        rentForThisPeriod = monthRent;
-      } else if (daysOccupied >= 1) {
-        // 1-15 days = half month rent
-        rentForThisPeriod = monthRent / 2;
-      }
-
-      results[periodIndex].totalExpectedRent += rentForThisPeriod;
-
-      // Move to next month
-      current.setMonth(current.getMonth() + 1);
-    }
-  }
-
-  // Electricity cost → only if tenant is currently in a unit
-  let totalElectricityCost = 0;
-  if (
-    tenant.electricityPerUnit != null &&
-    tenant.startingUnit != null &&
-    tenant.currentUnit != null &&
-    tenant.currentUnit >= tenant.startingUnit
-  ) {
-    totalElectricityCost =
-      (tenant.currentUnit - tenant.startingUnit) * tenant.electricityPerUnit;
-  }
-
-  // Add electricity to current property period
-  if (results.length > 0 && tenant.propertyId) {
-    const currentPropertyIndex = results.findIndex(
-      (r) =>
-        r.propertyId && r.propertyId.toString() === tenant.propertyId.toString()
-    );
-    if (currentPropertyIndex !== -1) {
-      results[currentPropertyIndex].totalElectricityCost +=
-        totalElectricityCost;
-    }
-  }
-
-  // Distribute payments FIFO
-  let remainingPaid = (tenant.rentHistory || []).reduce(
-    (sum, rh) => sum + (rh.amount || 0),
-    0
-  );
-
-  for (const result of results) {
-    const totalExpected =
-      result.totalExpectedRent + result.totalElectricityCost;
-
-    if (remainingPaid >= totalExpected) {
-      result.totalPaid = totalExpected;
-      remainingPaid -= totalExpected;
-    } else {
-      result.totalPaid = remainingPaid;
-      remainingPaid = 0;
-    }
-
-    const balance = totalExpected - result.totalPaid;
-    result.due = balance > 0 ? balance : 0;
-    result.overpaid = 0;
-  }
-
-  // Extra money → overpaid on last period
-  if (remainingPaid > 0 && results.length > 0) {
-    const last = results[results.length - 1];
-    last.overpaid = remainingPaid;
-    last.totalPaid += remainingPaid;
-  }
-
-  // Status per period
-  for (const result of results) {
-    const isCurrentProperty =
-      tenant.propertyId &&
-      result.propertyId &&
-      result.propertyId.toString() === tenant.propertyId.toString();
-
-    if (isCurrentProperty) {
-      result.status = tenant.endingDate
-        ? "Inactive"
-        : result.due > 0
-        ? "Due"
-        : "Active";
-    } else {
-      result.status = "Inactive";
-    }
-  }
-
-  // Due dates
-  results.forEach((r) => {
-    if (r.due > 0) {
-      r.dueAmountDate = currentDate.toISOString();
-    }
-  });
-
-  return results;
+const updateSchema = propertySchema.omit({ floors: true, basements: true, layout: true }).partial();
+// Property a tenant's dues count towards: the current one, else the last one they lived in
+function duesPropertyId(tenant) {
+  if (tenant.propertyId) return tenant.propertyId;
+  const last = [...(tenant.tenantHistory || [])].reverse().find((h) => h.propertyId);
+  return last ? last.propertyId : null;
 }
 
 export default async function routes(app) {
   app.addHook("preHandler", app.auth);
-  // ✅ Create Property
+  // ✅ Create Property (?dryRun=true previews the floors and unit labels without saving)
   app.post("/", async (req, reply) => {
     try {
       const body = propertySchema.parse(req.body);
       const landlordId = req.user.sub;
+      const dryRun = req.query?.dryRun === "true";
+      const { basements = 0, layout, ...fields } = body;
+
+      const floorNumbers = [];
+      for (let i = -basements; i < body.floors; i++) floorNumbers.push(i);
+      const plan = layout ? planUnitLayout(layout, floorNumbers) : { units: [], collisions: [], warnings: [] };
+
       // check duplicate name
       const exists = await Property.findOne({ landlordId, name: body.name });
+      if (dryRun) {
+        return reply.send({
+          success: true,
+          dryRun: true,
+          data: {
+            nameAvailable: !exists,
+            floors: floorNumbers.map((n) => ({
+              floorNumber: n,
+              name: floorName(n),
+              units: plan.units.filter((u) => u.floorNumber === n).map((u) => u.unitLabel),
+            })),
+            totalUnits: plan.units.length,
+            collisions: plan.collisions,
+            warnings: plan.warnings,
+          },
+        });
+      }
       if (exists) {
         return reply.code(409).send({
           success: false,
           message: "Property name already exists.",
         });
       }
+      if (plan.collisions.length) {
+        return reply.code(409).send({
+          success: false,
+          message: plan.collisions.map((c) => c.message).join(", "),
+          collisions: plan.collisions,
+        });
+      }
       // create property
-      const property = await Property.create({ ...body, landlordId });
-      // create floors automatically
-      const floors = [];
-      for (let i = 0; i < body.floors; i++) {
-        floors.push({
+      const property = await Property.create({ ...fields, floors: body.floors + basements, landlordId });
+      try {
+        // create floors automatically
+        const floors = await Floor.insertMany(floorNumbers.map((i) => ({
           landlordId,
           propertyId: property._id,
           floorNumber: i,
           name: floorName(i),
-        });
+        })));
+        // create units from the layout
+        if (plan.units.length) {
+          const floorIds = new Map(floors.map((f) => [f.floorNumber, f._id]));
+          await Unit.insertMany(plan.units.map(({ floorNumber, ...u }) => ({
+            landlordId,
+            propertyId: property._id,
+            floorId: floorIds.get(floorNumber),
+            status: "vacant",
+            ...u,
+          })));
+          for (const f of floors) {
+            await updateFloorCounts(property._id, f._id, landlordId);
+          }
+          await updatePropertyUnitCount(property._id, landlordId);
+        }
+      } catch (err) {
+        // don't leave a half-built property behind (its name would block a retry)
+        await Unit.deleteMany({ propertyId: property._id, landlordId });
+        await Floor.deleteMany({ propertyId: property._id, landlordId });
+        await Property.deleteOne({ _id: property._id, landlordId });
+        throw err;
       }
-      await Floor.insertMany(floors);
       return reply.code(201).send({
         success: true,
         message: "Property created successfully",
-        data: property,
+        data: await Property.findById(property._id),
+        unitsCreated: plan.units.length,
+        warnings: plan.warnings,
       });
     } catch (err) {
       if (err.issues) {
@@ -462,14 +165,15 @@ export default async function routes(app) {
   
       const skip = (page - 1) * limit;
   
-      // Fetch paginated properties
-      const properties = await Property.find({ landlordId })
+      // Fetch paginated properties (scoped staff see only theirs)
+      const propertyFilter = { landlordId, ...propertyScopeFilter(req, "_id") };
+      const properties = await Property.find(propertyFilter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .select("_id name address totalUnits totalVacant totalOccupied createdAt");
   
-      const totalProperties = await Property.countDocuments({ landlordId });
+      const totalProperties = await Property.countDocuments(propertyFilter);
       if (!properties.length) {
         return reply.send({
           success: true,
@@ -496,7 +200,7 @@ export default async function routes(app) {
           { "tenantHistory.propertyId": { $in: propertyIds } },
         ],
       }).select(
-        "propertyId unitId monthlyRent startingDate endingDate rentHistory electricityPerUnit startingUnit currentUnit rentChanges tenantHistory"
+        "propertyId unitId monthlyRent startingDate endingDate rentHistory extraCharges electricityPerUnit startingUnit currentUnit rentChanges tenantHistory billingOverrides"
       );
   
       // Tenant counts
@@ -515,26 +219,26 @@ export default async function routes(app) {
   
       // Rent aggregation per property
       const rentMap = {};
-      for (const tenant of tenants) {
-        const results = calculateTenantStatusAndDue(tenant, currentDate);
-        for (const result of results) {
-          if (!result.propertyId) continue;
-          const propId = result.propertyId.toString();
-          if (!rentMap[propId]) {
-            rentMap[propId] = {
-              collected: 0,
-              due: 0,
-              overpaid: 0,
-              expectedRent: 0,
-              expectedElectricity: 0,
-            };
-          }
-          rentMap[propId].collected += result.totalPaid;
-          rentMap[propId].due += result.due;
-          rentMap[propId].overpaid += result.overpaid;
-          rentMap[propId].expectedRent += result.totalExpectedRent;
-          rentMap[propId].expectedElectricity += result.totalElectricityCost;
+      const tenantDues = await tenantDuesWithPolicies(landlordId, tenants, currentDate);
+      for (const [i, tenant] of tenants.entries()) {
+        const propertyId = duesPropertyId(tenant);
+        if (!propertyId) continue;
+        const result = tenantDues[i];
+        const propId = propertyId.toString();
+        if (!rentMap[propId]) {
+          rentMap[propId] = {
+            collected: 0,
+            due: 0,
+            overpaid: 0,
+            expectedRent: 0,
+            expectedElectricity: 0,
+          };
         }
+        rentMap[propId].collected += result.totalPaid;
+        rentMap[propId].due += result.due;
+        rentMap[propId].overpaid += result.overpaid;
+        rentMap[propId].expectedRent += result.totalExpectedRent;
+        rentMap[propId].expectedElectricity += result.totalElectricityCost;
       }
   
       // Combine property + overview data
@@ -605,10 +309,10 @@ export default async function routes(app) {
   app.put("/:id", async (req, reply) => {
     try {
       const landlordId = req.user.sub;
-      const body = updateSchema.parse(req.body);
+      const { billing, ...body } = updateSchema.parse(req.body);
       const property = await Property.findOneAndUpdate(
         { _id: req.params.id, landlordId },
-        { $set: body },
+        { $set: { ...body, ...billingUpdate("billing", billing) } },
         { new: true }
       );
       if (!property) {
@@ -654,7 +358,7 @@ export default async function routes(app) {
             "Cannot delete property with occupied units. Evict all tenants first.",
         });
       }
-      const property = await Property.findOneAndDelete({
+      const property = await Property.findOne({
         _id: propertyId,
         landlordId,
       });
@@ -664,12 +368,15 @@ export default async function routes(app) {
           message: "Property not found",
         });
       }
-      // Cascade delete floors and units (tenants should be none since no occupied)
-      await Floor.deleteMany({ propertyId, landlordId });
-      await Unit.deleteMany({ propertyId, landlordId });
+      // Archive the property with its floors and units (tenants should be none since no occupied);
+      // they stay restorable until the trash retention period ends
+      const fields = archiveFields(req);
+      await Property.updateOne({ _id: propertyId, landlordId }, { $set: fields });
+      await Floor.updateMany({ propertyId, landlordId }, { $set: { ...fields, archivedWith: property._id } });
+      await Unit.updateMany({ propertyId, landlordId }, { $set: { ...fields, archivedWith: property._id } });
       return reply.send({
         success: true,
-        message: "Property deleted successfully",
+        message: "Property moved to trash",
       });
     } catch (err) {
       return reply.code(400).send({
@@ -679,6 +386,63 @@ export default async function routes(app) {
       });
     }
   });
+  // ✅ List Deleted Properties (trash)
+  app.get("/trash", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const querySchema = z.object({
+        page: z.string().regex(/^\d+$/).default("1").transform(Number),
+        limit: z.string().regex(/^\d+$/).default("10").transform(Number),
+        propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid property ID").optional(),
+      });
+      const { page, limit, propertyId } = querySchema.parse(req.query);
+      const filter = { landlordId };
+      if (propertyId) filter._id = propertyId;
+      const { items, pagination } = await listTrash(Property, filter, { page, limit });
+      return reply.send({ success: true, count: items.length, data: items, pagination });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply
+          .code(400)
+          .send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+  // ✅ Restore Property (with the floors and units deleted along with it)
+  app.post("/:id/restore", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const propertyId = req.params.id;
+      const property = await Property.findOne({ _id: propertyId, landlordId, archived: true });
+      if (!property) {
+        return reply.code(404).send({ success: false, message: "Deleted property not found" });
+      }
+      const nameTaken = await Property.findOne({ landlordId, name: property.name });
+      if (nameTaken) {
+        return reply.code(409).send({
+          success: false,
+          message: `Another property is already named '${property.name}'. Rename it before restoring.`,
+        });
+      }
+      await Property.updateOne({ _id: propertyId, landlordId, archived: true }, { $set: RESTORE_FIELDS });
+      await Floor.updateMany({ propertyId, landlordId, archived: true, archivedWith: property._id }, { $set: RESTORE_FIELDS });
+      await Unit.updateMany({ propertyId, landlordId, archived: true, archivedWith: property._id }, { $set: RESTORE_FIELDS });
+      const floors = await Floor.find({ propertyId, landlordId });
+      for (const f of floors) {
+        await updateFloorCounts(propertyId, f._id, landlordId);
+      }
+      await updatePropertyUnitCount(propertyId, landlordId);
+      return reply.send({
+        success: true,
+        message: "Property restored successfully",
+        data: await Property.findById(propertyId),
+      });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
   // ✅ Get Property Details with Floors, Units, and Tenants
   app.get("/details/:id", async (req, reply) => {
     try {
@@ -708,7 +472,7 @@ export default async function routes(app) {
           { "tenantHistory.propertyId": new mongoose.Types.ObjectId(propertyId) },
         ],
       }).select(
-        "propertyId unitId monthlyRent startingDate endingDate rentHistory electricityPerUnit startingUnit currentUnit rentChanges tenantHistory"
+        "propertyId unitId monthlyRent startingDate endingDate rentHistory extraCharges electricityPerUnit startingUnit currentUnit rentChanges tenantHistory billingOverrides"
       );
   
       // Step 4: Create tenant map for unit display
@@ -718,6 +482,23 @@ export default async function routes(app) {
           .map((t) => [t.unitId.toString(), t.toObject()])
       );
   
+      // Rent the current tenants of each unit actually pay (shared rooms add up per bed)
+      const actualRentByUnit = new Map();
+      for (const t of tenants) {
+        if (!t.unitId || t.propertyId?.toString() !== propertyId) continue;
+        const key = t.unitId.toString();
+        actualRentByUnit.set(key, (actualRentByUnit.get(key) || 0) + (t.monthlyRent || 0));
+      }
+      const unitRent = (u) => {
+        const asking = askingRentOn(u, currentDate);
+        const actual = actualRentByUnit.has(u._id.toString()) ? actualRentByUnit.get(u._id.toString()) : null;
+        return {
+          asking,
+          actual,
+          difference: asking != null && actual != null ? actual - asking : null,
+        };
+      };
+
       // Step 5: Construct floor + unit structure
       const floorData = floors.map((f) => ({
         ...f.toObject(),
@@ -726,6 +507,7 @@ export default async function routes(app) {
           .map((u) => ({
             ...u.toObject(),
             tenant: tenantMap[u._id.toString()] || null,
+            rent: unitRent(u),
           })),
       }));
   
@@ -738,15 +520,13 @@ export default async function routes(app) {
         expectedElectricity: 0,
       };
   
-      for (const tenant of tenants) {
-        const results = calculateTenantStatusAndDue(tenant, currentDate);
-        for (const result of results) {
-          rentMap.collected += result.totalPaid;
-          rentMap.due += result.due;
-          rentMap.overpaid += result.overpaid;
-          rentMap.expectedRent += result.totalExpectedRent;
-          rentMap.expectedElectricity += result.totalElectricityCost;
-        }
+      const tenantDues = await tenantDuesWithPolicies(landlordId, tenants, currentDate);
+      for (const result of tenantDues) {
+        rentMap.collected += result.totalPaid;
+        rentMap.due += result.due;
+        rentMap.overpaid += result.overpaid;
+        rentMap.expectedRent += result.totalExpectedRent;
+        rentMap.expectedElectricity += result.totalElectricityCost;
       }
   
       const totalTenants = tenants.length;
@@ -763,6 +543,11 @@ export default async function routes(app) {
         totalOverpaid: rentMap.overpaid,
         totalExpectedRent: rentMap.expectedRent,
         totalExpectedElectricity: rentMap.expectedElectricity,
+        // inactive units are not on the market
+        totalAskingRent: units
+          .filter((u) => u.status !== "inactive")
+          .reduce((sum, u) => sum + (askingRentOn(u, currentDate) || 0), 0),
+        totalActualRent: [...actualRentByUnit.values()].reduce((a, b) => a + b, 0),
       };
   
       // Step 7: Return response
@@ -793,7 +578,9 @@ export default async function routes(app) {
       const { page, limit } = querySchema.parse(req.query);
 
       const skip = (page - 1) * limit;
-      const properties = await Property.find({ landlordId })
+      // scoped staff see only their properties
+      const propertyFilter = { landlordId, ...propertyScopeFilter(req, "_id") };
+      const properties = await Property.find(propertyFilter)
         .select("_id name totalUnits totalVacant totalOccupied")
         .skip(skip)
         .limit(limit)
@@ -812,7 +599,7 @@ export default async function routes(app) {
         });
       }
 
-      const totalProperties = await Property.countDocuments({ landlordId });
+      const totalProperties = await Property.countDocuments(propertyFilter);
       const propertyIds = properties.map(
         (p) => new mongoose.Types.ObjectId(p._id)
       );
@@ -824,7 +611,7 @@ export default async function routes(app) {
           { "tenantHistory.propertyId": { $in: propertyIds } },
         ],
       }).select(
-        "propertyId unitId monthlyRent startingDate endingDate rentHistory electricityPerUnit startingUnit currentUnit rentChanges tenantHistory"
+        "propertyId unitId monthlyRent startingDate endingDate rentHistory extraCharges electricityPerUnit startingUnit currentUnit rentChanges tenantHistory billingOverrides"
       );
 
       // Tenant counts per property (current tenants only)
@@ -843,26 +630,26 @@ export default async function routes(app) {
 
       // Per-property rent aggregation
       const rentMap = {};
-      for (const tenant of tenants) {
-        const results = calculateTenantStatusAndDue(tenant, currentDate);
-        for (const result of results) {
-          if (!result.propertyId) continue;
-          const propId = result.propertyId.toString();
-          if (!rentMap[propId]) {
-            rentMap[propId] = {
-              collected: 0,
-              due: 0,
-              overpaid: 0,
-              expectedRent: 0,
-              expectedElectricity: 0,
-            };
-          }
-          rentMap[propId].collected += result.totalPaid;
-          rentMap[propId].due += result.due;
-          rentMap[propId].overpaid += result.overpaid;
-          rentMap[propId].expectedRent += result.totalExpectedRent;
-          rentMap[propId].expectedElectricity += result.totalElectricityCost;
+      const tenantDues = await tenantDuesWithPolicies(landlordId, tenants, currentDate);
+      for (const [i, tenant] of tenants.entries()) {
+        const propertyId = duesPropertyId(tenant);
+        if (!propertyId) continue;
+        const result = tenantDues[i];
+        const propId = propertyId.toString();
+        if (!rentMap[propId]) {
+          rentMap[propId] = {
+            collected: 0,
+            due: 0,
+            overpaid: 0,
+            expectedRent: 0,
+            expectedElectricity: 0,
+          };
         }
+        rentMap[propId].collected += result.totalPaid;
+        rentMap[propId].due += result.due;
+        rentMap[propId].overpaid += result.overpaid;
+        rentMap[propId].expectedRent += result.totalExpectedRent;
+        rentMap[propId].expectedElectricity += result.totalElectricityCost;
       }
 
       const overviewData = properties.map((p) => ({
@@ -0,0 +1,44 @@
+import { z } from "zod";
+import { reconcileCounters } from "../utils/reconcile.js";
+
+const reconcileSchema = z.object({
+  propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid property ID").optional(),
+});
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+
+  // ✅ Check Counters (report drift without changing anything)
+  app.get("/", async (req, reply) => {
+    try {
+      const { propertyId } = reconcileSchema.parse(req.query || {});
+      const report = await reconcileCounters({ landlordId: req.user.sub, propertyId });
+      return reply.send({ success: true, data: report });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map(e => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Repair Counters
+  app.post("/", async (req, reply) => {
+    try {
+      const { propertyId } = reconcileSchema.parse(req.body || {});
+      const report = await reconcileCounters({ landlordId: req.user.sub, propertyId, repair: true });
+      return reply.send({
+        success: true,
+        message: report.drift.length ? `Repaired ${report.drift.length} drifted value(s)` : "No drift found",
+        data: report,
+      });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map(e => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+}
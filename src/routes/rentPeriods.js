@@ -1,5 +1,6 @@
 import RentPeriod from "../models/RentPeriod.js";
 import { computePenalty } from "../utils/penalty.js";
+import { loadBillingPolicy } from "../utils/billingPolicy.js";
 
 export default async function routes(app) {
   app.addHook("preHandler", app.auth);
@@ -27,9 +28,13 @@ export default async function routes(app) {
     const landlordId = req.user.sub;
     const rp = await RentPeriod.findOne({ _id: req.params.id, landlordId });
     if (!rp) return reply.code(404).send({ error: "Not found" });
-    const rate = req.body?.rate ?? 0;
-    const graceDays = req.body?.graceDays ?? 15;
-    const mode = req.body?.mode ?? "flatPerDay";
+    // the body may still override the tenant's effective policy for this one recompute
+    const policy = await loadBillingPolicy({
+      landlordId, tenantId: rp.tenantId, leaseId: rp.leaseId, propertyId: rp.propertyId
+    });
+    const rate = req.body?.rate ?? policy.penaltyRate;
+    const graceDays = req.body?.graceDays ?? policy.graceDays;
+    const mode = req.body?.mode ?? policy.penaltyMode;
     const asOf = new Date();
     const penalty = computePenalty({ amount: rp.amount, dueDate: new Date(rp.period.dueDate), graceDays, mode, rate, asOf });
     rp.penalty = { accrued: penalty, asOf };
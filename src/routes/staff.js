@@ -0,0 +1,177 @@
+import { z } from "zod";
+import User from "../models/User.js";
+import Property from "../models/Property.js";
+import { STAFF_ROLES } from "../utils/access.js";
+import { revokeAllSessions } from "../utils/sessions.js";
+import { randomToken, hashToken } from "../utils/tokens.js";
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid property ID");
+
+const inviteSchema = z.object({
+  email: z.string().email("Invalid email address").transform((e) => e.toLowerCase()),
+  name: z.string().min(2, "Name is required").optional(),
+  role: z.enum(STAFF_ROLES, { errorMap: () => ({ message: `Role must be one of ${STAFF_ROLES.join(", ")}` }) }),
+  // empty = access to every property of the landlord
+  propertyIds: z.array(objectId).default([]),
+});
+
+const updateStaffSchema = z.object({
+  name: z.string().min(2, "Name is required").optional(),
+  role: z.enum(STAFF_ROLES).optional(),
+  propertyIds: z.array(objectId).optional(),
+});
+
+function staffView(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    propertyIds: user.propertyIds,
+    status: user.passwordHash ? "active" : "invited",
+    inviteExpires: user.inviteExpires,
+    createdAt: user.createdAt,
+  };
+}
+
+async function ownsAllProperties(landlordId, propertyIds) {
+  if (!propertyIds.length) return true;
+  const count = await Property.countDocuments({ _id: { $in: propertyIds }, landlordId });
+  return count === new Set(propertyIds).size;
+}
+
+function newInvite() {
+  const inviteToken = randomToken();
+  return {
+    inviteToken,
+    inviteTokenHash: hashToken(inviteToken),
+    inviteExpires: new Date(Date.now() + INVITE_TTL_MS),
+  };
+}
+
+export default async function routes(app) {
+  app.addHook("preHandler", app.auth);
+  app.addHook("preHandler", app.requireVerifiedEmail);
+
+  // ✅ List Staff
+  app.get("/", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const staff = await User.find({ ownerId: landlordId }).sort({ createdAt: -1 });
+      return reply.send({ success: true, count: staff.length, staff: staff.map(staffView) });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Invite Staff
+  app.post("/invite", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const body = inviteSchema.parse(req.body);
+
+      if (!(await ownsAllProperties(landlordId, body.propertyIds))) {
+        return reply.code(400).send({ success: false, message: "Invalid property in propertyIds" });
+      }
+
+      const exists = await User.findOne({ email: body.email });
+      if (exists) {
+        return reply.code(409).send({ success: false, message: "Email already in use" });
+      }
+
+      const { inviteToken, inviteTokenHash, inviteExpires } = newInvite();
+      const user = await User.create({
+        email: body.email,
+        name: body.name,
+        role: body.role,
+        ownerId: landlordId,
+        propertyIds: body.propertyIds,
+        invitedBy: req.user.uid,
+        inviteTokenHash,
+        inviteExpires,
+      });
+
+      // The token is only returned once; the invitee redeems it at POST /auth/accept-invite
+      return reply.code(201).send({
+        success: true,
+        message: "Staff member invited",
+        staff: staffView(user),
+        inviteToken,
+      });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Re-issue an Invitation
+  app.post("/:id/reinvite", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const user = await User.findOne({ _id: req.params.id, ownerId: landlordId });
+      if (!user) {
+        return reply.code(404).send({ success: false, message: "Staff member not found" });
+      }
+      if (user.passwordHash) {
+        return reply.code(400).send({ success: false, message: "Invitation already accepted" });
+      }
+
+      const { inviteToken, inviteTokenHash, inviteExpires } = newInvite();
+      user.inviteTokenHash = inviteTokenHash;
+      user.inviteExpires = inviteExpires;
+      await user.save();
+
+      return reply.send({ success: true, staff: staffView(user), inviteToken });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Update Staff Role / Property Scope
+  app.put("/:id", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const body = updateStaffSchema.parse(req.body);
+
+      if (body.propertyIds && !(await ownsAllProperties(landlordId, body.propertyIds))) {
+        return reply.code(400).send({ success: false, message: "Invalid property in propertyIds" });
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.id, ownerId: landlordId },
+        { $set: body },
+        { new: true }
+      );
+      if (!user) {
+        return reply.code(404).send({ success: false, message: "Staff member not found" });
+      }
+      return reply.send({ success: true, message: "Staff member updated", staff: staffView(user) });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Remove Staff
+  app.delete("/:id", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const user = await User.findOneAndDelete({ _id: req.params.id, ownerId: landlordId });
+      if (!user) {
+        return reply.code(404).send({ success: false, message: "Staff member not found" });
+      }
+      await revokeAllSessions(user._id, { reason: "staff_removed" });
+      return reply.send({ success: true, message: "Staff member removed" });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+}
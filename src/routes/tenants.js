@@ -4,6 +4,31 @@ import Property from "../models/Property.js";
 import Unit from "../models/Unit.js";
 import Floor from "../models/Floor.js";
 import mongoose from "mongoose";
+import {
+  billingOverridesSchema,
+  mergeBillingOverrides,
+  loadBillingPolicy,
+  tenantDuesWithPolicy,
+  tenantDuesWithPolicies,
+} from "../utils/billingPolicy.js";
+import { archiveFields, RESTORE_FIELDS } from "../utils/softDelete.js";
+import { listTrash } from "../utils/trash.js";
+import { transferTenant } from "../utils/tenantTransfer.js";
+import { defaultTenantRent } from "../utils/askingRent.js";
+import { removeFile } from "../utils/storage.js";
+import {
+  checkUpload,
+  documentLimitFor,
+  maxDocumentBytes,
+  sendDocument,
+  storeDocument,
+} from "../utils/tenantDocuments.js";
+import {
+  updateFloorCounts,
+  updatePropertyUnitCount,
+  syncUnitOccupancy,
+  checkBedAvailability,
+} from "../utils/occupancy.js";
 
 const tenantSchema = z.object({
   name: z.string().min(2, "Name is required"),
@@ -24,6 +49,7 @@ const tenantSchema = z.object({
     .regex(/^[0-9a-fA-F]{24}$/, "Invalid unit ID")
     .nullable()
     .optional(),
+  bedNumber: z.number().int().min(1).nullable().optional(),
   monthlyRent: z.number().min(0).optional(),
   startingDate: z.string().datetime().optional(),
   endingDate: z.string().datetime().nullable().optional(),
@@ -64,302 +90,73 @@ const tenantSchema = z.object({
   electricityPerUnit: z.number().min(0).optional(),
   startingUnit: z.number().min(0).optional(),
   currentUnit: z.number().min(0).optional(),
+  billingOverrides: billingOverridesSchema.optional(),
 });
 
-// Function to get applicable rent for a specific month
-function getRentForMonth(year, month, rentChanges, defaultRent) {
-  if (!rentChanges || rentChanges.length === 0) {
-    return defaultRent || 0;
-  }
-  const monthStart = new Date(year, month, 1);
-  const monthEnd   = new Date(year, month + 1, 0);
-  let applicableRent = defaultRent !== undefined ? defaultRent : rentChanges[0].amount;
-  for (const change of rentChanges) {
-    const effective = new Date(change.effectiveFrom);
-    if (effective <= monthEnd) {
-      applicableRent = change.amount;
-    } else {
-      break;
-    }
-  }
-  return applicableRent;
-}
-
-// Function to calculate tenant status, due, and overpaid amounts
-function calculateTenantStatusAndDue(tenant, currentDate = new Date()) {
-  if (!tenant.unitId && !tenant.startingDate) {
-    return {
-      status: "Unassigned",
-      due: 0,
-      overpaid: 0,
-      dueAmountDate: null,
-      totalPaid: 0,
-      totalExpectedRent: 0,
-      totalElectricityCost: 0,
-      rentDue: 0,
-      electricityDue: 0,
-      rentOverpaid: 0,
-      electricityOverpaid: 0,
-      totalRentPaid: 0,
-      totalElectricityPaid: 0,
-    };
-  }
-
-  if (!tenant.startingDate) {
-    return {
-      status: "Due",
-      due: 0,
-      overpaid: 0,
-      dueAmountDate: null,
-      totalPaid: 0,
-      totalExpectedRent: 0,
-      totalElectricityCost: 0,
-      rentDue: 0,
-      electricityDue: 0,
-      rentOverpaid: 0,
-      electricityOverpaid: 0,
-      totalRentPaid: 0,
-      totalElectricityPaid: 0,
-    };
-  }
-
-  const start = new Date(tenant.startingDate);
-  let actualEndDate = tenant.endingDate ? new Date(tenant.endingDate) : null;
-
-  if (
-    !actualEndDate &&
-    tenant.tenantHistory &&
-    tenant.tenantHistory.length > 0
-  ) {
-    let lastAssignmentIndex = -1;
-    for (let i = tenant.tenantHistory.length - 1; i >= 0; i--) {
-      if (
-        tenant.tenantHistory[i].propertyId ||
-        tenant.tenantHistory[i].unitId
-      ) {
-        lastAssignmentIndex = i;
-        break;
-      }
-    }
-
-    if (
-      lastAssignmentIndex !== -1 &&
-      lastAssignmentIndex < tenant.tenantHistory.length - 1
-    ) {
-      const unassignmentEntry = tenant.tenantHistory[lastAssignmentIndex + 1];
-      if (!unassignmentEntry.propertyId && !unassignmentEntry.unitId) {
-        actualEndDate = new Date(unassignmentEntry.updatedAt);
-      }
-    }
-  }
-
-  const effectiveEnd = actualEndDate || currentDate;
-
-  // Calculate rent based on days elapsed
-  let totalExpectedRent = 0;
-  const rentChanges = (tenant.rentChanges || []).sort(
-    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
-  );
-
-  let current = new Date(start.getFullYear(), start.getMonth(), 1);
-
-  while (current <= effectiveEnd && current <= currentDate) {
-    const monthRent = getRentForMonth(
-      current.getFullYear(),
-      current.getMonth(),
-      rentChanges,
-      tenant.monthlyRent
-    );
-
-    const monthStart = new Date(current);
-    const monthEnd = new Date(current.getFullYear(), current.getMonth() + 1, 0);
-
-    const actualStart = monthStart < start ? start : monthStart;
-    const actualEnd = monthEnd > effectiveEnd ? effectiveEnd : monthEnd;
-    const finalEnd = actualEnd > currentDate ? currentDate : actualEnd;
-
-    const daysInMonth = monthEnd.getDate();
-    const startDay = actualStart.getDate();
-    const endDay = finalEnd.getDate();
-
-    let daysOccupied;
-    if (
-      actualStart.getMonth() === finalEnd.getMonth() &&
-      actualStart.getFullYear() === finalEnd.getFullYear()
-    ) {
-      daysOccupied = endDay - startDay + 1;
-    } else {
-      if (
-        current.getMonth() === start.getMonth() &&
-        current.getFullYear() === start.getFullYear()
-      ) {
-        daysOccupied = daysInMonth - startDay + 1;
-      } else if (
-        current.getMonth() === finalEnd.getMonth() &&
-        current.getFullYear() === finalEnd.getFullYear()
-      ) {
-        daysOccupied = endDay;
-      } else {
-        daysOccupied = daysInMonth;
-      }
-    }
-
-    let rentForThisPeriod = 0;
-
-    if (daysOccupied >= daysInMonth) {
-      rentForThisPeriod = monthRent;
-    } else if (daysOccupied >= 16) {
-      rentForThisPeriod = monthRent;
-    } else if (daysOccupied >= 1) {
-      rentForThisPeriod = monthRent / 2;
-    }
-
-    totalExpectedRent += rentForThisPeriod;
-    current.setMonth(current.getMonth() + 1);
-  }
-
-  // Calculate electricity cost
-  let totalElectricityCost = 0;
-  if (
-    tenant.electricityPerUnit != null &&
-    tenant.startingUnit != null &&
-    tenant.currentUnit != null &&
-    tenant.currentUnit >= tenant.startingUnit
-  ) {
-    totalElectricityCost =
-      (tenant.currentUnit - tenant.startingUnit) * tenant.electricityPerUnit;
-  }
-
-  // Calculate paid amounts separately for rent and electricity
-  const rentHistory = tenant.rentHistory || [];
-  const totalRentPaid = rentHistory
-    .filter((rh) => rh.rentType === "flat_rent" || !rh.rentType)
-    .reduce((sum, rh) => sum + (rh.amount || 0), 0);
-
-  const totalElectricityPaid = rentHistory
-    .filter((rh) => rh.rentType === "electricity")
-    .reduce((sum, rh) => sum + (rh.amount || 0), 0);
-
-  const totalPaid = totalRentPaid + totalElectricityPaid;
-
-  // Calculate separate dues
-  const rentBalance = totalExpectedRent - totalRentPaid;
-  const electricityBalance = totalElectricityCost - totalElectricityPaid;
-
-  const rentDue = rentBalance > 0 ? rentBalance : 0;
-  const rentOverpaid = rentBalance < 0 ? Math.abs(rentBalance) : 0;
-
-  const electricityDue = electricityBalance > 0 ? electricityBalance : 0;
-  const electricityOverpaid =
-    electricityBalance < 0 ? Math.abs(electricityBalance) : 0;
-
-  const totalExpected = totalExpectedRent + totalElectricityCost;
-  const tenantBalance = totalExpected - totalPaid;
-  const due = tenantBalance > 0 ? tenantBalance : 0;
-  const overpaid = tenantBalance < 0 ? Math.abs(tenantBalance) : 0;
-
-  // Status
-  let status;
-  if (!tenant.unitId && tenant.startingDate) {
-    status = "Unassigned";
-  } else if (tenant.endingDate || actualEndDate) {
-    status = "Inactive";
-  } else {
-    status = due > 0 ? "Due" : "Active";
-  }
-
-  let dueAmountDate = null;
-  if (due > 0) {
-    dueAmountDate = currentDate.toISOString();
-  }
+const documentLinkSchema = z.object({
+  type: z.string().optional(),
+  fileUrl: z.string().url("fileUrl must be a valid URL"),
+  fileName: z.string().min(1, "fileName is required"),
+});
 
-  return {
-    status,
-    due,
-    overpaid,
-    dueAmountDate,
-    totalPaid,
-    totalExpectedRent,
-    totalElectricityCost,
-    rentDue,
-    electricityDue,
-    rentOverpaid,
-    electricityOverpaid,
-    totalRentPaid,
-    totalElectricityPaid,
-  };
-}
+const transferSchema = z.object({
+  // defaults to the tenant's current property
+  propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid property ID").optional(),
+  unitId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid unit ID"),
+  bedNumber: z.number().int().min(1).optional(),
+  effectiveDate: z.string().datetime().or(z.string().date()),
+  // new rent from the effective date, recorded in rentChanges
+  monthlyRent: z.number().min(0).optional(),
+  meterReadings: z
+    .object({
+      oldUnitClosing: z.number().min(0, "Closing reading must be non-negative"),
+      newUnitOpening: z.number().min(0, "Opening reading must be non-negative"),
+    })
+    .optional(),
+});
 
-async function updateFloorCounts(propertyId, floorId, landlordId) {
-  const agg = await Unit.aggregate([
-    {
-      $match: {
-        propertyId: new mongoose.Types.ObjectId(propertyId),
-        floorId: new mongoose.Types.ObjectId(floorId),
-        landlordId: new mongoose.Types.ObjectId(landlordId),
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        unitsCount: { $sum: 1 },
-        vacant: { $sum: { $cond: [{ $eq: ["$status", "vacant"] }, 1, 0] } },
-        occupied: { $sum: { $cond: [{ $eq: ["$status", "occupied"] }, 1, 0] } },
-      },
-    },
-  ]);
-  const counts = agg[0] || { unitsCount: 0, vacant: 0, occupied: 0 };
-  await Floor.findOneAndUpdate(
-    {
-      _id: new mongoose.Types.ObjectId(floorId),
-      propertyId: new mongoose.Types.ObjectId(propertyId),
-      landlordId: new mongoose.Types.ObjectId(landlordId),
-    },
-    {
-      $set: {
-        unitsCount: counts.unitsCount,
-        vacant: counts.vacant,
-        occupied: counts.occupied,
-      },
-    }
-  );
-}
+const objectIdParam = (label) => z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label}`);
+const TENANT_STATUSES = ["Due", "Active", "Inactive", "Unassigned"];
+const TENANT_SORTS = ["createdAt", "name", "due", "tenure"];
+
+const tenantListSchema = z.object({
+  page: z.string().regex(/^\d+$/).default("1").transform(Number),
+  limit: z.string().regex(/^\d+$/).default("10").transform(Number),
+  // matches name, phone or email
+  search: z.string().trim().min(1).optional(),
+  propertyId: objectIdParam("property ID").optional(),
+  unitId: objectIdParam("unit ID").optional(),
+  floorId: objectIdParam("floor ID").optional(),
+  // comma-separated, e.g. ?status=Due,Inactive
+  status: z.string()
+    .transform((v) => v.split(",").map((x) => x.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(TENANT_STATUSES)))
+    .optional(),
+  minDue: z.coerce.number().nonnegative().optional(),
+  maxDue: z.coerce.number().nonnegative().optional(),
+  startedFrom: z.string().date().optional(),
+  startedTo: z.string().date().optional(),
+  // field name, "-" prefix for descending (e.g. -due)
+  sort: z.string().refine((v) => TENANT_SORTS.includes(v.replace(/^-/, "")), {
+    message: `sort must be one of ${TENANT_SORTS.join(", ")} (prefix with - for descending)`,
+  }).default("-createdAt"),
+});
 
-async function updatePropertyUnitCount(propertyId, landlordId) {
-  const agg = await Unit.aggregate([
-    {
-      $match: {
-        propertyId: new mongoose.Types.ObjectId(propertyId),
-        landlordId: new mongoose.Types.ObjectId(landlordId),
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalUnits: { $sum: 1 },
-        totalVacant: {
-          $sum: { $cond: [{ $eq: ["$status", "vacant"] }, 1, 0] },
-        },
-        totalOccupied: {
-          $sum: { $cond: [{ $eq: ["$status", "occupied"] }, 1, 0] },
-        },
-      },
-    },
-  ]);
-  const counts = agg[0] || { totalUnits: 0, totalVacant: 0, totalOccupied: 0 };
-  await Property.findOneAndUpdate(
-    {
-      _id: new mongoose.Types.ObjectId(propertyId),
-      landlordId: new mongoose.Types.ObjectId(landlordId),
-    },
-    {
-      $set: {
-        totalUnits: counts.totalUnits,
-        totalVacant: counts.totalVacant,
-        totalOccupied: counts.totalOccupied,
-      },
-    }
-  );
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// In-memory order for tenant list rows ({ t, dues }), newest first on ties
+// What calculateTenantStatusAndDue, the tenant's billing policy and compareTenants read
+const DUES_FIELDS =
+  "name createdAt propertyId unitId startingDate endingDate tenantHistory monthlyRent rentChanges " +
+  "rentHistory startingUnit currentUnit electricityPerUnit extraCharges billingOverrides";
+
+function compareTenants(a, b, field, direction) {
+  let diff = 0;
+  if (field === "due") diff = a.dues.due - b.dues.due;
+  else if (field === "name") diff = a.t.name.localeCompare(b.t.name, "en", { sensitivity: "base" });
+  else if (field === "tenure") diff = (b.t.startingDate || 0) - (a.t.startingDate || 0);
+  else diff = a.t.createdAt - b.t.createdAt;
+  return diff * direction || b.t._id.toString().localeCompare(a.t._id.toString());
 }
 
 export default async function routes(app) {
@@ -440,6 +237,7 @@ export default async function routes(app) {
 
       let unit = null;
       let floorId = null;
+      let rentFromUnit = false;
       if (body.unitId) {
         if (!body.propertyId) {
           return reply
@@ -462,30 +260,44 @@ export default async function routes(app) {
               message: "Invalid unit for this property",
             });
         }
-        const existingTenant = await Tenant.findOne({ unitId: body.unitId });
-        if (existingTenant) {
+        const unavailable = await checkBedAvailability(unit, { bedNumber: body.bedNumber });
+        if (unavailable) {
           return reply
             .code(400)
             .send({
               success: false,
-              message: "Unit already occupied by another tenant",
+              message: unavailable,
             });
         }
-        unit.status = "occupied";
-        await unit.save();
+        // rent defaults to the unit's per-bed rent (shared rooms) or asking rent
+        if (body.monthlyRent === undefined) {
+          const unitRent = defaultTenantRent(unit, body.startingDate || new Date());
+          if (unitRent != null) {
+            body.monthlyRent = unitRent;
+            rentFromUnit = true;
+          }
+        }
         floorId = unit.floorId;
+      } else {
+        body.bedNumber = null;
       }
 
       const tenantData = {
         landlordId,
         ...body,
+        // new tenants inherit the property's electricity rate unless one is given
+        electricityPerUnit:
+          body.electricityPerUnit ?? property?.billing?.electricityPerUnit ?? 0,
+        billingOverrides: body.billingOverrides
+          ? mergeBillingOverrides(null, body.billingOverrides)
+          : undefined,
         currentUnit: body.startingUnit || 0,
         rentChanges:
-          body.monthlyRent && body.startingDate
+          body.monthlyRent && (body.startingDate || rentFromUnit)
             ? [
                 {
                   amount: body.monthlyRent,
-                  effectiveFrom: new Date(body.startingDate),
+                  effectiveFrom: body.startingDate ? new Date(body.startingDate) : new Date(),
                 },
               ]
             : [],
@@ -508,13 +320,14 @@ export default async function routes(app) {
       };
 
       const tenant = await Tenant.create(tenantData);
+      if (unit) unit = await syncUnitOccupancy(unit._id, landlordId);
 
       if (floorId && body.propertyId) {
         await updateFloorCounts(body.propertyId, floorId, landlordId);
         await updatePropertyUnitCount(body.propertyId, landlordId);
       }
 
-      const dueDetails = calculateTenantStatusAndDue(tenant);
+      const dueDetails = await tenantDuesWithPolicy(tenant);
       return reply.code(201).send({
         success: true,
         message: "Tenant created successfully",
@@ -638,17 +451,21 @@ export default async function routes(app) {
       let oldUnitId = tenant.unitId ? tenant.unitId.toString() : null;
       let oldFloorId = null;
       let newFloorId = null;
+      // set when a tenant without a unit is assigned one
+      let firstUnit = null;
+      // occupancy of these units is recounted once the tenant has been saved
+      const unitsToSync = [];
   
       if (body.unitId !== undefined) {
         if (body.unitId === null) {
           if (oldUnitId) {
             const oldUnit = await Unit.findOne({ _id: oldUnitId, landlordId });
             if (oldUnit) {
-              oldUnit.status = "vacant";
-              await oldUnit.save();
+              unitsToSync.push(oldUnit._id);
               oldFloorId = oldUnit.floorId.toString();
             }
           }
+          body.bedNumber = null;
         } else {
           if (!targetPropertyId) {
             return reply
@@ -659,13 +476,20 @@ export default async function routes(app) {
               });
           }
           if (body.unitId === oldUnitId) {
-            // No change
+            // Same unit; only a bed change needs checking
+            if (body.bedNumber != null && body.bedNumber !== tenant.bedNumber) {
+              const sameUnit = await Unit.findOne({ _id: oldUnitId, landlordId });
+              const unavailable = sameUnit &&
+                await checkBedAvailability(sameUnit, { tenantId: tenant._id, bedNumber: body.bedNumber });
+              if (unavailable) {
+                return reply.code(400).send({ success: false, message: unavailable });
+              }
+            }
           } else {
             if (oldUnitId) {
               const oldUnit = await Unit.findOne({ _id: oldUnitId, landlordId });
               if (oldUnit) {
-                oldUnit.status = "vacant";
-                await oldUnit.save();
+                unitsToSync.push(oldUnit._id);
                 oldFloorId = oldUnit.floorId.toString();
               }
             }
@@ -682,31 +506,41 @@ export default async function routes(app) {
                   message: "Invalid new unit for this property",
                 });
             }
-            const existingTenant = await Tenant.findOne({
-              unitId: body.unitId,
-              _id: { $ne: req.params.id },
+            const unavailable = await checkBedAvailability(newUnit, {
+              tenantId: tenant._id,
+              bedNumber: body.bedNumber,
             });
-            if (existingTenant) {
+            if (unavailable) {
               return reply
                 .code(400)
                 .send({
                   success: false,
-                  message: "New unit already occupied by another tenant",
+                  message: unavailable,
                 });
             }
-            newUnit.status = "occupied";
-            await newUnit.save();
+            if (body.bedNumber === undefined) body.bedNumber = null;
+            unitsToSync.push(newUnit._id);
             newFloorId = newUnit.floorId.toString();
+            if (!oldUnitId) firstUnit = newUnit;
           }
         }
       } else if (targetPropertyId !== oldPropertyId && oldUnitId) {
         const oldUnit = await Unit.findOne({ _id: oldUnitId, landlordId });
         if (oldUnit) {
-          oldUnit.status = "vacant";
-          await oldUnit.save();
+          unitsToSync.push(oldUnit._id);
           oldFloorId = oldUnit.floorId.toString();
         }
         body.unitId = null;
+        body.bedNumber = null;
+      } else if (body.bedNumber != null && body.bedNumber !== tenant.bedNumber) {
+        const currentUnit = oldUnitId ? await Unit.findOne({ _id: oldUnitId, landlordId }) : null;
+        if (!currentUnit) {
+          return reply.code(400).send({ success: false, message: "Cannot assign a bed without a unit" });
+        }
+        const unavailable = await checkBedAvailability(currentUnit, { tenantId: tenant._id, bedNumber: body.bedNumber });
+        if (unavailable) {
+          return reply.code(400).send({ success: false, message: unavailable });
+        }
       }
   
       if (body.startingUnit !== undefined && tenant.currentUnit === undefined) {
@@ -739,8 +573,26 @@ export default async function routes(app) {
         tenant.startingDate = new Date(body.startingDate);
       }
   
+      // no rent agreed yet: start from the unit's per-bed or asking rent
+      if (firstUnit && body.monthlyRent === undefined && !tenant.monthlyRent) {
+        const from = body.startingDate || tenant.startingDate || new Date();
+        const unitRent = defaultTenantRent(firstUnit, from);
+        if (unitRent != null) {
+          body.monthlyRent = unitRent;
+          if (!tenant.rentChanges.length && !body.rentChanges) {
+            tenant.rentChanges.push({ amount: unitRent, effectiveFrom: new Date(from) });
+          }
+        }
+      }
+
+      if (body.billingOverrides) {
+        body.billingOverrides = mergeBillingOverrides(tenant.billingOverrides, body.billingOverrides);
+      }
       Object.assign(tenant, body);
       await tenant.save();
+      for (const unitId of unitsToSync) {
+        await syncUnitOccupancy(unitId, landlordId);
+      }
   
       const propertyChanged = targetPropertyId !== oldPropertyId;
       const unitChanged =
@@ -792,7 +644,7 @@ export default async function routes(app) {
         }
       }
   
-      const dueDetails = calculateTenantStatusAndDue(populatedTenant);
+      const dueDetails = await tenantDuesWithPolicy(populatedTenant);
       return reply.send({
         success: true,
         message: "Tenant updated successfully",
@@ -806,6 +658,38 @@ export default async function routes(app) {
     }
   });
 
+  // ✅ Transfer Tenant to Another Unit (backdatable, optional new rent and meter readings)
+  app.post("/:id/transfer", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const body = transferSchema.parse(req.body);
+      const result = await transferTenant({
+        ...body,
+        tenantId: req.params.id,
+        landlordId,
+        effectiveDate: new Date(body.effectiveDate),
+      });
+      if (result.code) {
+        return reply.code(result.code).send({ success: false, message: result.message });
+      }
+
+      const populatedTenant = await Tenant.findOne({ _id: req.params.id, landlordId })
+        .populate("propertyId", "name address")
+        .populate("unitId");
+      const dueDetails = await tenantDuesWithPolicy(populatedTenant);
+      return reply.send({
+        success: true,
+        message: "Tenant transferred successfully",
+        tenant: { ...populatedTenant.toObject(), ...dueDetails },
+      });
+    } catch (err) {
+      return reply.code(400).send({
+        success: false,
+        message: err.issues ? err.issues.map((e) => e.message).join(", ") : err.message,
+      });
+    }
+  });
+
   // ✅ Delete Tenant
   app.delete("/:id", async (req, reply) => {
     try {
@@ -816,20 +700,19 @@ export default async function routes(app) {
           .code(404)
           .send({ success: false, message: "Tenant not found" });
 
+      // archived, not dropped: rentHistory and payments stay until the trash is purged
+      await Tenant.updateOne({ _id: tenant._id, landlordId }, { $set: archiveFields(req) });
+
       if (tenant.unitId && tenant.propertyId) {
-        const unit = await Unit.findOne({ _id: tenant.unitId, landlordId });
+        const unit = await syncUnitOccupancy(tenant.unitId, landlordId);
         if (unit) {
-          unit.status = "vacant";
-          await unit.save();
           await updateFloorCounts(tenant.propertyId, unit.floorId, landlordId);
           await updatePropertyUnitCount(tenant.propertyId, landlordId);
         }
       }
-
-      await tenant.deleteOne();
       return reply.send({
         success: true,
-        message: "Tenant deleted successfully",
+        message: "Tenant moved to trash",
       });
     } catch (err) {
       return reply.code(400).send({
@@ -839,46 +722,160 @@ export default async function routes(app) {
     }
   });
 
-  // ✅ List Tenants
-  app.get("/", async (req, reply) => {
+  // ✅ List Deleted Tenants (trash)
+  app.get("/trash", async (req, reply) => {
     try {
       const landlordId = req.user.sub;
 
       const querySchema = z.object({
         page: z.string().regex(/^\d+$/).default("1").transform(Number),
         limit: z.string().regex(/^\d+$/).default("10").transform(Number),
+        propertyId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid property ID").optional(),
       });
-      const { page, limit } = querySchema.parse(req.query);
+      const { page, limit, propertyId } = querySchema.parse(req.query);
+      const filter = { landlordId };
+      if (propertyId) filter.propertyId = propertyId;
 
-      const skip = (page - 1) * limit;
+      const { items, pagination } = await listTrash(Tenant, filter, { page, limit });
+      return reply.send({ success: true, count: items.length, tenants: items, pagination });
+    } catch (err) {
+      return reply.code(400).send({
+        success: false,
+        message: err.issues ? err.issues.map((e) => e.message).join(", ") : err.message,
+      });
+    }
+  });
 
-      const tenants = await Tenant.find({ landlordId })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate("propertyId", "name address")
-        .populate("unitId");
+  // ✅ Restore Tenant (back into their unit when it still has room)
+  app.post("/:id/restore", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const tenant = await Tenant.findOne({ _id: req.params.id, landlordId, archived: true });
+      if (!tenant)
+        return reply
+          .code(404)
+          .send({ success: false, message: "Deleted tenant not found" });
 
-      const totalTenants = await Tenant.countDocuments({ landlordId });
-      const totalPages = Math.ceil(totalTenants / limit);
+      let unit = null;
+      if (tenant.unitId) {
+        unit = await Unit.findOne({ _id: tenant.unitId, landlordId });
+        if (!unit) {
+          return reply.code(409).send({
+            success: false,
+            message: "The tenant's unit has been deleted. Restore the unit first.",
+          });
+        }
+        const unavailable = await checkBedAvailability(unit, { tenantId: tenant._id, bedNumber: tenant.bedNumber });
+        if (unavailable) {
+          return reply.code(409).send({ success: false, message: unavailable });
+        }
+      }
 
-      const enrichedTenants = tenants.map((t) => {
-        const dueDetails = calculateTenantStatusAndDue(t);
-        return { ...t.toObject(), ...dueDetails };
+      await Tenant.updateOne({ _id: tenant._id, landlordId, archived: true }, { $set: RESTORE_FIELDS });
+
+      if (unit) {
+        await syncUnitOccupancy(unit._id, landlordId);
+        await updateFloorCounts(unit.propertyId, unit.floorId, landlordId);
+        await updatePropertyUnitCount(unit.propertyId, landlordId);
+      }
+      const restored = await Tenant.findById(tenant._id);
+      const dueDetails = await tenantDuesWithPolicy(restored);
+      return reply.send({
+        success: true,
+        message: "Tenant restored successfully",
+        tenant: { ...restored.toObject(), ...dueDetails },
+      });
+    } catch (err) {
+      return reply.code(400).send({
+        success: false,
+        message: err.message,
       });
+    }
+  });
+
+  // ✅ List Tenants
+  app.get("/", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const q = tenantListSchema.parse(req.query || {});
+
+      const filter = { landlordId };
+      if (q.propertyId) filter.propertyId = q.propertyId;
+      if (q.unitId) filter.unitId = q.unitId;
+      if (q.floorId) {
+        const floorUnits = await Unit.find({ floorId: q.floorId, landlordId }).select("_id");
+        if (q.unitId && !floorUnits.some((u) => u._id.toString() === q.unitId)) {
+          filter.unitId = { $in: [] };
+        } else if (!q.unitId) {
+          filter.unitId = { $in: floorUnits.map((u) => u._id) };
+        }
+      }
+      if (q.search) {
+        const pattern = { $regex: escapeRegex(q.search), $options: "i" };
+        filter.$or = [{ name: pattern }, { phone: pattern }, { email: pattern }];
+      }
+      if (q.startedFrom || q.startedTo) {
+        filter.startingDate = {};
+        if (q.startedFrom) filter.startingDate.$gte = new Date(q.startedFrom);
+        if (q.startedTo) filter.startingDate.$lte = new Date(`${q.startedTo}T23:59:59.999Z`);
+      }
+
+      const field = q.sort.replace(/^-/, "");
+      const direction = q.sort.startsWith("-") ? -1 : 1;
+      const skip = (q.page - 1) * q.limit;
+      const byDue = q.status || q.minDue !== undefined || q.maxDue !== undefined || field === "due";
+
+      let page;
+      let totalTenants;
+      if (byDue) {
+        // status and due are computed, not stored: work them out for every match, then page
+        const candidates = await Tenant.find(filter).select(DUES_FIELDS);
+        const candidateDues = await tenantDuesWithPolicies(landlordId, candidates);
+        const matches = candidates.map((t, i) => ({ t, dues: candidateDues[i] }));
+        const kept = matches.filter(({ dues }) =>
+          (!q.status || q.status.includes(dues.status)) &&
+          (q.minDue === undefined || dues.due >= q.minDue) &&
+          (q.maxDue === undefined || dues.due <= q.maxDue)
+        );
+        kept.sort((a, b) => compareTenants(a, b, field, direction));
+        totalTenants = kept.length;
+        const pageIds = kept.slice(skip, skip + q.limit).map(({ t }) => t._id.toString());
+        const pageTenants = await Tenant.find({ _id: { $in: pageIds }, landlordId })
+          .populate("propertyId", "name address")
+          .populate("unitId");
+        page = pageIds.map((id) => pageTenants.find((t) => t._id.toString() === id)).filter(Boolean);
+      } else {
+        // longer tenure = earlier starting date
+        const sort = field === "tenure" ? { startingDate: -direction } : { [field]: direction };
+        page = await Tenant.find(filter)
+          .sort({ ...sort, _id: -1 })
+          .collation({ locale: "en", strength: 2 })
+          .skip(skip)
+          .limit(q.limit)
+          .populate("propertyId", "name address")
+          .populate("unitId");
+        totalTenants = await Tenant.countDocuments(filter);
+      }
+      const totalPages = Math.ceil(totalTenants / q.limit);
+
+      const dues = await tenantDuesWithPolicies(landlordId, page);
+      const enrichedTenants = page.map((t, i) => ({ ...t.toObject(), ...dues[i] }));
 
       return reply.send({
         success: true,
         count: enrichedTenants.length,
         tenants: enrichedTenants,
         pagination: {
-          page,
-          limit,
+          page: q.page,
+          limit: q.limit,
           totalPages,
           totalItems: totalTenants,
         },
       });
     } catch (err) {
+      if (err.issues) {
+        return reply.code(400).send({ success: false, message: err.issues.map((e) => e.message).join(", ") });
+      }
       return reply.code(500).send({
         success: false,
         message: "Failed to fetch tenants",
@@ -911,10 +908,8 @@ export default async function routes(app) {
       });
       const totalPages = Math.ceil(totalTenants / limit);
 
-      const enrichedTenants = tenants.map((t) => {
-        const dueDetails = calculateTenantStatusAndDue(t);
-        return { ...t.toObject(), ...dueDetails };
-      });
+      const dues = await tenantDuesWithPolicies(landlordId, tenants);
+      const enrichedTenants = tenants.map((t, i) => ({ ...t.toObject(), ...dues[i] }));
 
       return reply.send({
         success: true,
@@ -947,13 +942,30 @@ export default async function routes(app) {
         .code(404)
         .send({ success: false, message: "Tenant not found" });
 
-    const dueDetails = calculateTenantStatusAndDue(tenant);
+    const dueDetails = await tenantDuesWithPolicy(tenant);
     return reply.send({
       success: true,
       tenant: { ...tenant.toObject(), ...dueDetails },
     });
   });
 
+  // ✅ Effective Billing Policy (property defaults + tenant overrides + active lease)
+  app.get("/:id/billing-policy", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const tenant = await Tenant.findOne({ _id: req.params.id, landlordId }).select("_id");
+      if (!tenant)
+        return reply
+          .code(404)
+          .send({ success: false, message: "Tenant not found" });
+
+      const policy = await loadBillingPolicy({ landlordId, tenantId: tenant._id });
+      return reply.send({ success: true, policy });
+    } catch (err) {
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
   // ✅ NEW: Calculate Due with Current Electricity Unit
   app.get("/calculate-due/:id", async (req, reply) => {
     try {
@@ -969,7 +981,7 @@ export default async function routes(app) {
           .send({ success: false, message: "Tenant not found" });
       }
   
-      const dueDetails = calculateTenantStatusAndDue(tenant);
+      const dueDetails = await tenantDuesWithPolicy(tenant);
   
       // Calculate electricity due with new current unit if provided
       let newElectricityDue = dueDetails.electricityDue;
@@ -1014,6 +1026,10 @@ export default async function routes(app) {
           total: {
             due: dueDetails.rentDue + newElectricityDue,
             overpaid: dueDetails.rentOverpaid + dueDetails.electricityOverpaid,
+            // from the tenant's billing policy (due day, grace period, penalty)
+            dueDate: dueDetails.dueAmountDate,
+            overdue: dueDetails.overdue,
+            penalty: dueDetails.penalty,
           },
         },
       });
@@ -1035,7 +1051,7 @@ export default async function routes(app) {
           .code(404)
           .send({ success: false, message: "Tenant not found" });
 
-      const dueDetails = calculateTenantStatusAndDue(tenant);
+      const dueDetails = await tenantDuesWithPolicy(tenant);
       return reply.send({
         success: true,
         due: dueDetails.due,
@@ -1054,49 +1070,143 @@ export default async function routes(app) {
     }
   });
 
-  // ✅ Add Documents
+  // ✅ Add Documents (multipart upload of one file, with an optional "type" field sent before it;
+  // a JSON body { type, fileUrl, fileName } still records a link)
   app.post("/:id/documents", async (req, reply) => {
-    const landlordId = req.user.sub;
-    const { type, fileUrl, fileName } = req.body || {};
-    const tenant = await Tenant.findOne({ _id: req.params.id, landlordId });
-    if (!tenant)
-      return reply
-        .code(404)
-        .send({ success: false, message: "Tenant not found" });
-    if (tenant.documents.length >= 5)
-      return reply
-        .code(400)
-        .send({ success: false, message: "Max 5 documents" });
-    tenant.documents.push({ type, fileUrl, fileName, uploadedAt: new Date() });
-    await tenant.save();
+    try {
+      const landlordId = req.user.sub;
+      const tenant = await Tenant.findOne({ _id: req.params.id, landlordId });
+      if (!tenant)
+        return reply
+          .code(404)
+          .send({ success: false, message: "Tenant not found" });
+      const limit = await documentLimitFor(landlordId);
+      if (tenant.documents.length >= limit)
+        return reply
+          .code(400)
+          .send({ success: false, message: `Max ${limit} documents` });
+
+      let document;
+      if (req.isMultipart()) {
+        const part = await req.file({ limits: { fileSize: maxDocumentBytes(), files: 1 } });
+        if (!part) {
+          return reply.code(400).send({ success: false, message: "No file uploaded" });
+        }
+        const buffer = await part.toBuffer();
+        const invalid = checkUpload({ contentType: part.mimetype, buffer });
+        if (invalid) {
+          return reply.code(400).send({ success: false, message: invalid });
+        }
+        document = await storeDocument(tenant, {
+          buffer,
+          contentType: part.mimetype,
+          fileName: part.filename,
+          type: part.fields.type?.value,
+          uploadedBy: req.user.uid,
+        });
+      } else {
+        const body = documentLinkSchema.parse(req.body || {});
+        document = { ...body, uploadedBy: req.user.uid, uploadedAt: new Date() };
+      }
+      tenant.documents.push(document);
+      try {
+        await tenant.save();
+      } catch (err) {
+        if (document.storageKey) await removeFile(document.storageKey);
+        throw err;
+      }
 
-    const dueDetails = calculateTenantStatusAndDue(tenant);
-    return reply.send({
-      success: true,
-      tenant: { ...tenant.toObject(), ...dueDetails },
-    });
+      const dueDetails = await tenantDuesWithPolicy(tenant);
+      return reply.code(201).send({
+        success: true,
+        document: tenant.documents[tenant.documents.length - 1],
+        tenant: { ...tenant.toObject(), ...dueDetails },
+      });
+    } catch (err) {
+      if (err.code === "FST_REQ_FILE_TOO_LARGE") {
+        return reply.code(413).send({
+          success: false,
+          message: `File is larger than ${maxDocumentBytes() / (1024 * 1024)} MB`,
+        });
+      }
+      return reply.code(400).send({
+        success: false,
+        message: err.issues ? err.issues.map((e) => e.message).join(", ") : err.message,
+      });
+    }
   });
 
-  // ✅ Delete Documents
-  app.delete("/:id/documents/:idx", async (req, reply) => {
-    const landlordId = req.user.sub;
-    const tenant = await Tenant.findOne({ _id: req.params.id, landlordId });
-    if (!tenant)
-      return reply
-        .code(404)
-        .send({ success: false, message: "Tenant not found" });
-    const idx = parseInt(req.params.idx, 10);
-    if (Number.isNaN(idx) || idx < 0 || idx >= tenant.documents.length) {
-      return reply.code(400).send({ success: false, message: "Invalid index" });
+  // ✅ List Documents
+  app.get("/:id/documents", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const tenant = await Tenant.findOne({ _id: req.params.id, landlordId }).select("documents");
+      if (!tenant)
+        return reply
+          .code(404)
+          .send({ success: false, message: "Tenant not found" });
+      return reply.send({
+        success: true,
+        documents: tenant.documents,
+        limit: await documentLimitFor(landlordId),
+      });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
     }
-    tenant.documents.splice(idx, 1);
-    await tenant.save();
+  });
 
-    const dueDetails = calculateTenantStatusAndDue(tenant);
-    return reply.send({
-      success: true,
-      tenant: { ...tenant.toObject(), ...dueDetails },
-    });
+  // ✅ Download Document
+  app.get("/:id/documents/:documentId/download", async (req, reply) => {
+    try {
+      const tenant = await Tenant.findOne({ _id: req.params.id, landlordId: req.user.sub }).select("documents");
+      if (!tenant)
+        return reply
+          .code(404)
+          .send({ success: false, message: "Tenant not found" });
+      return await sendDocument(reply, tenant, req.params.documentId);
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Delete Documents
+  app.delete("/:id/documents/:documentId", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const tenant = await Tenant.findOne({ _id: req.params.id, landlordId });
+      if (!tenant)
+        return reply
+          .code(404)
+          .send({ success: false, message: "Tenant not found" });
+      const document = mongoose.isValidObjectId(req.params.documentId)
+        ? tenant.documents.id(req.params.documentId)
+        : null;
+      if (!document) {
+        return reply.code(404).send({ success: false, message: "Document not found" });
+      }
+      const { storageKey } = document;
+      tenant.documents.pull(document._id);
+      await tenant.save();
+      // the document is already gone from the tenant; a file left behind is only reported
+      let warning;
+      if (storageKey) {
+        try {
+          await removeFile(storageKey);
+        } catch (err) {
+          req.log.error(err, `Failed to remove stored file ${storageKey}`);
+          warning = "Document deleted, but its stored file could not be removed";
+        }
+      }
+
+      const dueDetails = await tenantDuesWithPolicy(tenant);
+      return reply.send({
+        success: true,
+        warning,
+        tenant: { ...tenant.toObject(), ...dueDetails },
+      });
+    } catch (err) {
+      return reply.code(400).send({ success: false, message: err.message });
+    }
   });
 
   // ✅ NEW: Pay Rent (Separate Flat Rent and Electricity)
@@ -1106,22 +1216,25 @@ export default async function routes(app) {
       const {
         flatRentAmount,
         electricityAmount,
+        extraChargeAmount,
         currentElectricityUnit,
         transactionDate,
       } = z
         .object({
           flatRentAmount: z.number().min(0).optional(),
           electricityAmount: z.number().min(0).optional(),
+          // towards extra charges such as billed repairs
+          extraChargeAmount: z.number().min(0).optional(),
           currentElectricityUnit: z.number().min(0).optional(),
           transactionDate: z.string().datetime().optional(),
         })
         .parse(req.body);
 
-      if (!flatRentAmount && !electricityAmount) {
+      if (!flatRentAmount && !electricityAmount && !extraChargeAmount) {
         return reply.code(400).send({
           success: false,
           message:
-            "At least one payment amount (flatRentAmount or electricityAmount) is required",
+            "At least one payment amount (flatRentAmount, electricityAmount or extraChargeAmount) is required",
         });
       }
 
@@ -1183,6 +1296,15 @@ export default async function routes(app) {
         });
       }
 
+      if (extraChargeAmount && extraChargeAmount > 0) {
+        tenant.rentHistory.push({
+          amount: extraChargeAmount,
+          status: "Paid",
+          paidAt: paymentDate,
+          rentType: "extra_charge",
+        });
+      }
+
       await tenant.save();
 
       const populatedTenant = await Tenant.findOne({
@@ -1192,7 +1314,7 @@ export default async function routes(app) {
         .populate("propertyId", "name address")
         .populate("unitId");
 
-      const dueDetails = calculateTenantStatusAndDue(populatedTenant);
+      const dueDetails = await tenantDuesWithPolicy(populatedTenant);
       return reply.send({
         success: true,
         message: "Payment recorded successfully",
@@ -1257,7 +1379,7 @@ export default async function routes(app) {
         .populate("propertyId", "name address")
         .populate("unitId");
 
-      const dueDetails = calculateTenantStatusAndDue(populatedTenant);
+      const dueDetails = await tenantDuesWithPolicy(populatedTenant);
       return reply.send({
         success: true,
         message: "Rent payment recorded successfully",
@@ -1321,7 +1443,7 @@ export default async function routes(app) {
       })
         .populate("propertyId", "name address")
         .populate("unitId");
-      const dueDetails = calculateTenantStatusAndDue(populatedTenant);
+      const dueDetails = await tenantDuesWithPolicy(populatedTenant);
       return reply.send({
         success: true,
         message: "Rent increased successfully",
@@ -1446,6 +1568,7 @@ app.get("/history/:id", async (req, reply) => {
           property: null,
           unit: null,
           floor: null,
+          meterReadings: historyEntry.meterReadings || null,
         };
     
         // Populate property details
@@ -1519,7 +1642,7 @@ app.get("/history/:id", async (req, reply) => {
       .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
 
     // Calculate rent overview
-    const rentOverview = calculateTenantStatusAndDue(tenant);
+    const rentOverview = await tenantDuesWithPolicy(tenant);
 
     return reply.send({
       success: true,
@@ -4,13 +4,18 @@ import Property from "../models/Property.js";
 import Floor from "../models/Floor.js";
 import Tenant from "../models/Tenant.js";
 import mongoose from "mongoose";
+import { updateFloorCounts, updatePropertyUnitCount, countOccupants, HAS_FREE_BED } from "../utils/occupancy.js";
+import { UNIT_TYPES, FURNISHING_LEVELS, unitAttributesSchema } from "../utils/unitLayout.js";
+import { archiveFields, RESTORE_FIELDS } from "../utils/softDelete.js";
+import { listTrash } from "../utils/trash.js";
+import { askingRentOn } from "../utils/askingRent.js";
 
 const bulkSchema = z.object({
   units: z.array(z.object({
     propertyId: z.string().min(1),
     floorId: z.string().min(1),
     unitLabel: z.string().min(1),
-  })).min(1)
+  }).merge(unitAttributesSchema)).min(1)
 });
 
 const singleSchema = bulkSchema.shape.units.element;
@@ -19,10 +24,39 @@ const updateUnitSchema = z.object({
   unitLabel: z.string().min(1).optional(),
   status: z.enum(["vacant", "occupied", "inactive"]).optional(),
   electricityPerUnit: z.number().int().nonnegative().optional()
+}).merge(unitAttributesSchema);
+
+// comma-separated query values, e.g. ?status=vacant,inactive
+const csv = (values) => z.string().transform((v) => v.split(",").map((x) => x.trim()).filter(Boolean))
+  .pipe(values ? z.array(z.enum(values)) : z.array(z.string()));
+const objectIdParam = (label) => z.string().regex(/^[0-9a-fA-F]{24}$/, `Invalid ${label}`);
+
+const UNIT_SORTS = ["unitLabel", "askingRent", "bedrooms", "carpetArea", "createdAt"];
+
+const unitSearchSchema = z.object({
+  propertyId: objectIdParam("property ID").optional(),
+  floorId: objectIdParam("floor ID").optional(),
+  status: csv(["vacant", "occupied", "inactive"]).optional(),
+  unitType: csv(UNIT_TYPES).optional(),
+  furnishing: csv(FURNISHING_LEVELS).optional(),
+  bedrooms: z.coerce.number().int().nonnegative().optional(),
+  minBedrooms: z.coerce.number().int().nonnegative().optional(),
+  minRent: z.coerce.number().nonnegative().optional(),
+  maxRent: z.coerce.number().nonnegative().optional(),
+  // units must have every listed amenity
+  amenities: csv().transform((a) => a.map((x) => x.toLowerCase())).optional(),
+  // "true": only units with at least one free bed (includes partially occupied shared rooms)
+  hasFreeBed: z.enum(["true", "false"]).optional(),
+  // field name, "-" prefix for descending (e.g. -askingRent)
+  sort: z.string().refine((v) => UNIT_SORTS.includes(v.replace(/^-/, "")), {
+    message: `sort must be one of ${UNIT_SORTS.join(", ")} (prefix with - for descending)`,
+  }).optional(),
 });
 
 const updateRentSchema = z.object({
-  amount: z.number().nonnegative()
+  amount: z.number().nonnegative(),
+  // defaults to now; backdating records a rent card change that already applied
+  effectiveFrom: z.string().datetime().or(z.string().date()).optional(),
 });
 
 // Function to get applicable rent for a specific month
@@ -44,56 +78,6 @@ function getRentForMonth(year, month, rentChanges, defaultRent) {
   return applicableRent;
 }
 
-async function updateFloorCounts(propertyId, floorId, landlordId) {
-  const agg = await Unit.aggregate([
-    { $match: { propertyId: new mongoose.Types.ObjectId(propertyId), floorId: new mongoose.Types.ObjectId(floorId), landlordId: new mongoose.Types.ObjectId(landlordId) } },
-    {
-      $group: {
-        _id: null,
-        unitsCount: { $sum: 1 },
-        vacant: { $sum: { $cond: [{ $eq: ["$status", "vacant"] }, 1, 0] } },
-        occupied: { $sum: { $cond: [{ $eq: ["$status", "occupied"] }, 1, 0] } },
-      }
-    }
-  ]);
-  const counts = agg[0] || { unitsCount: 0, vacant: 0, occupied: 0 };
-  await Floor.findOneAndUpdate(
-    { _id: new mongoose.Types.ObjectId(floorId), propertyId: new mongoose.Types.ObjectId(propertyId), landlordId: new mongoose.Types.ObjectId(landlordId) },
-    {
-      $set: {
-        unitsCount: counts.unitsCount,
-        vacant: counts.vacant,
-        occupied: counts.occupied
-      }
-    }
-  );
-}
-
-async function updatePropertyUnitCount(propertyId, landlordId) {
-  const agg = await Unit.aggregate([
-    { $match: { propertyId: new mongoose.Types.ObjectId(propertyId), landlordId: new mongoose.Types.ObjectId(landlordId) } },
-    {
-      $group: {
-        _id: null,
-        totalUnits: { $sum: 1 },
-        totalVacant: { $sum: { $cond: [{ $eq: ["$status", "vacant"] }, 1, 0] } },
-        totalOccupied: { $sum: { $cond: [{ $eq: ["$status", "occupied"] }, 1, 0] } },
-      }
-    }
-  ]);
-  const counts = agg[0] || { totalUnits: 0, totalVacant: 0, totalOccupied: 0 };
-  await Property.findOneAndUpdate(
-    { _id: new mongoose.Types.ObjectId(propertyId), landlordId: new mongoose.Types.ObjectId(landlordId) },
-    {
-      $set: {
-        totalUnits: counts.totalUnits,
-        totalVacant: counts.totalVacant,
-        totalOccupied: counts.totalOccupied
-      }
-    }
-  );
-}
-
 export default async function routes(app) {
   app.addHook("preHandler", app.auth);
 
@@ -199,14 +183,44 @@ app.post("/", async (req, reply) => {
   }
 });
 
-  // ✅ Get all units (optionally by propertyId)
+  // ✅ Search units (filters: property, floor, status, type, furnishing, bedrooms, rent range, amenities)
   app.get("/", async (req, reply) => {
-    const landlordId = req.user.sub;
-    const { propertyId } = req.query;
-    const q = { landlordId };
-    if (propertyId) q.propertyId = propertyId;
-    const list = await Unit.find(q).sort({ floorId: 1, unitLabel: 1 });
-    return reply.send({ success: true, units: list });
+    try {
+      const landlordId = req.user.sub;
+      const f = unitSearchSchema.parse(req.query || {});
+      const q = { landlordId };
+      if (f.propertyId) q.propertyId = f.propertyId;
+      if (f.floorId) q.floorId = f.floorId;
+      if (f.status) q.status = { $in: f.status };
+      if (f.unitType) q.unitType = { $in: f.unitType };
+      if (f.furnishing) q.furnishing = { $in: f.furnishing };
+      if (f.bedrooms !== undefined) q.bedrooms = f.bedrooms;
+      else if (f.minBedrooms !== undefined) q.bedrooms = { $gte: f.minBedrooms };
+      if (f.minRent !== undefined || f.maxRent !== undefined) {
+        q.askingRent = {};
+        if (f.minRent !== undefined) q.askingRent.$gte = f.minRent;
+        if (f.maxRent !== undefined) q.askingRent.$lte = f.maxRent;
+      }
+      if (f.amenities?.length) q.amenities = { $all: f.amenities };
+      if (f.hasFreeBed === "true") {
+        q.status = { $in: (f.status || ["vacant", "occupied"]).filter((st) => st !== "inactive") };
+        q.$expr = HAS_FREE_BED;
+      }
+
+      let sort = { floorId: 1, unitLabel: 1 };
+      if (f.sort) {
+        const field = f.sort.replace(/^-/, "");
+        sort = { [field]: f.sort.startsWith("-") ? -1 : 1, _id: 1 };
+      }
+      const list = await Unit.find(q).sort(sort);
+      return reply.send({ success: true, count: list.length, units: list });
+    } catch (err) {
+      if (err.issues) {
+        const messages = err.issues.map((e) => e.message);
+        return reply.code(400).send({ success: false, message: messages.join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
   });
 
   // ✅ Get single unit with tenant details
@@ -214,8 +228,16 @@ app.post("/", async (req, reply) => {
     const landlordId = req.user.sub;
     const unit = await Unit.findOne({ _id: req.params.id, landlordId });
     if (!unit) return reply.code(404).send({ success: false, message: "Unit not found" });
-    const tenant = await Tenant.findOne({ unitId: unit._id, landlordId });
-    return reply.send({ success: true, unit: { ...unit.toObject(), tenant: tenant ? tenant.toObject() : null } });
+    // shared rooms can have several tenants; `tenant` stays the first one for single units
+    const tenants = await Tenant.find({ unitId: unit._id, landlordId }).sort({ bedNumber: 1, createdAt: 1 });
+    return reply.send({
+      success: true,
+      unit: {
+        ...unit.toObject(),
+        tenant: tenants[0] ? tenants[0].toObject() : null,
+        tenants: tenants.map((t) => t.toObject()),
+      },
+    });
   });
 
   // ✅ Update unit details (general patch, excluding rent)
@@ -225,6 +247,13 @@ app.post("/", async (req, reply) => {
       const landlordId = req.user.sub;
       const u = await Unit.findOne({ _id: req.params.id, landlordId });
       if (!u) return reply.code(404).send({ success: false, message: "Unit not found" });
+      if (body.capacity !== undefined) {
+        // tenants assigned to the unit plus active-lease occupants, as syncUnitOccupancy counts them
+        const occupants = await countOccupants(u);
+        if (body.capacity < occupants) {
+          return reply.code(400).send({ success: false, message: `Capacity cannot be below the ${occupants} current occupants` });
+        }
+      }
       if (body.status) {
         const hasTenant = await Tenant.findOne({ unitId: u._id });
         if (body.status === "occupied" && !hasTenant) {
@@ -253,16 +282,33 @@ app.post("/", async (req, reply) => {
     }
   });
 
-  // ✅ Update rent (simplified, only updates baseMonthlyRent)
+  // ✅ Update asking rent (recorded in askingRentHistory from its effective date)
   app.patch("/:id/rent", async (req, reply) => {
     try {
       const landlordId = req.user.sub;
-      const { amount } = updateRentSchema.parse(req.body);
+      const { amount, effectiveFrom } = updateRentSchema.parse(req.body);
       const u = await Unit.findOne({ _id: req.params.id, landlordId });
       if (!u) return reply.code(404).send({ success: false, message: "Unit not found" });
-      u.baseMonthlyRent = amount;
+
+      const now = new Date();
+      const from = effectiveFrom ? new Date(effectiveFrom) : now;
+      if (from > now) {
+        return reply.code(400).send({ success: false, message: "Effective date cannot be in the future" });
+      }
+      // keep the price the unit had before its history was recorded
+      if (!u.askingRentHistory.length && u.askingRent != null) {
+        u.askingRentHistory.push({ amount: u.askingRent, effectiveFrom: u.createdAt });
+      }
+      const sameDate = u.askingRentHistory.find((c) => c.effectiveFrom.getTime() === from.getTime());
+      if (sameDate) {
+        sameDate.amount = amount;
+        sameDate.changedBy = req.user.uid;
+      } else {
+        u.askingRentHistory.push({ amount, effectiveFrom: from, changedBy: req.user.uid });
+      }
+      u.askingRentHistory.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+      u.askingRent = askingRentOn(u, now);
       await u.save();
-      await updateFloorCounts(u.propertyId, u.floorId, landlordId);
       return reply.send({ success: true, unit: u });
     } catch (err) {
       return reply.code(400).send({
@@ -283,10 +329,10 @@ app.post("/", async (req, reply) => {
       }
       const propertyId = u.propertyId;
       const floorId = u.floorId;
-      await u.deleteOne();
+      await Unit.updateOne({ _id: u._id, landlordId }, { $set: archiveFields(req) });
       await updateFloorCounts(propertyId, floorId, landlordId);
       await updatePropertyUnitCount(propertyId, landlordId);
-      return reply.send({ success: true, message: "Unit deleted successfully" });
+      return reply.send({ success: true, message: "Unit moved to trash" });
     } catch (err) {
       return reply.code(400).send({
         success: false,
@@ -295,6 +341,56 @@ app.post("/", async (req, reply) => {
     }
   });
 
+  // ✅ List Deleted Units (trash; units of a deleted property come back with the property)
+  app.get("/trash", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const querySchema = z.object({
+        page: z.string().regex(/^\d+$/).default("1").transform(Number),
+        limit: z.string().regex(/^\d+$/).default("10").transform(Number),
+        propertyId: objectIdParam("property ID").optional(),
+      });
+      const { page, limit, propertyId } = querySchema.parse(req.query);
+      const filter = { landlordId, archivedWith: null };
+      if (propertyId) filter.propertyId = propertyId;
+      const { items, pagination } = await listTrash(Unit, filter, { page, limit });
+      return reply.send({ success: true, count: items.length, data: items, pagination });
+    } catch (err) {
+      if (err.issues) {
+        return reply.code(400).send({ success: false, message: err.issues.map(e => e.message).join(", ") });
+      }
+      return reply.code(500).send({ success: false, message: err.message });
+    }
+  });
+
+  // ✅ Restore Unit
+  app.post("/:id/restore", async (req, reply) => {
+    try {
+      const landlordId = req.user.sub;
+      const u = await Unit.findOne({ _id: req.params.id, landlordId, archived: true });
+      if (!u) return reply.code(404).send({ success: false, message: "Deleted unit not found" });
+      const floor = await Floor.findOne({ _id: u.floorId, propertyId: u.propertyId, landlordId });
+      if (!floor) {
+        return reply.code(409).send({
+          success: false,
+          message: u.archivedWith ? "Restore the unit's property instead" : "The unit's floor no longer exists",
+        });
+      }
+      await Unit.updateOne({ _id: u._id, landlordId, archived: true }, { $set: RESTORE_FIELDS });
+      await updateFloorCounts(u.propertyId, u.floorId, landlordId);
+      await updatePropertyUnitCount(u.propertyId, landlordId);
+      return reply.send({ success: true, message: "Unit restored successfully", unit: await Unit.findById(u._id) });
+    } catch (err) {
+      if (err.code === 11000) {
+        return reply.code(409).send({
+          success: false,
+          message: "Another unit on this floor now uses this unit's label. Rename it before restoring.",
+        });
+      }
+      return reply.code(400).send({ success: false, message: err.message });
+    }
+  });
+
   //UNIT HISTORY
 // ✅ Get Unit History with All Tenants
 app.get("/unit-history/:unitId", async (req, reply) => {
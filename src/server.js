@@ -2,19 +2,35 @@ import Fastify from "fastify";
 import cors from "@fastify/cors";
 import jwt from "@fastify/jwt";
 import formbody from "@fastify/formbody";
+import multipart from "@fastify/multipart";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
+import { isSessionActive } from "./utils/sessions.js";
+import { loadAccount, authorize } from "./utils/access.js";
+import { extractApiKey, resolveApiKey } from "./utils/apiKeys.js";
+import { runWithRequestContext, getRequestContext } from "./utils/requestContext.js";
+import { setAuditLogger } from "./utils/audit.js";
+import { migrateUnitLabelIndex, purgeExpiredTrash } from "./utils/trash.js";
+import { backfillDocumentIds, maxDocumentBytes } from "./utils/tenantDocuments.js";
+import { migrateLeaseDueDays } from "./utils/billingPolicy.js";
 
 dotenv.config();
 
-const app = Fastify({ logger: true });
+const app = Fastify({ logger: true, trustProxy: process.env.TRUST_PROXY === "true" });
+// audit writes from background jobs (trash purge, migrations) log failures here
+setAuditLogger(app.log);
 await app.register(cors, { origin: true });
 await app.register(formbody);
+// file uploads (tenant documents); routes read them with req.file()
+await app.register(multipart, { limits: { fileSize: maxDocumentBytes(), files: 1 } });
 await app.register(jwt, { secret: process.env.JWT_SECRET || "devsecret" });
 
 // DB
 const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/landlord_app";
 
+// queries run inside connection.transaction() pick up its session automatically
+mongoose.set("transactionAsyncLocalStorage", true);
+
 try {
   await mongoose.connect(MONGO_URI, {
     useNewUrlParser: true,
@@ -27,10 +43,48 @@ try {
   app.log.error("❌ MongoDB connection failed:", err);
   process.exit(1);
 }
+// Request context for code without access to `req` (the audit log reads actor, route and IP from it)
+app.addHook("onRequest", (req, reply, done) => {
+  runWithRequestContext({ ip: req.ip, route: `${req.method} ${req.routeOptions?.url || req.url}`, actor: null, log: req.log }, done);
+});
+
 // Auth decorator
 app.decorate("auth", async (req, reply) => {
+  const apiKey = extractApiKey(req);
+  if (apiKey) {
+    const key = await resolveApiKey(apiKey, req);
+    if (!key) return reply.code(401).send({ error: "Unauthorized" });
+    req.user = { sub: key.userId.toString(), apiKeyId: key._id.toString(), scopes: key.scopes };
+  } else {
+    try { await req.jwtVerify(); }
+    catch (_) { return reply.code(401).send({ error: "Unauthorized" }); }
+    // access tokens are bound to a login session so they stop working once it is revoked
+    if (!(await isSessionActive(req.user.sid))) {
+      return reply.code(401).send({ error: "Unauthorized" });
+    }
+  }
+  // staff act on their landlord's data: req.user.sub becomes the landlord id, req.user.uid stays theirs
+  const account = await loadAccount(req.user.sub);
+  if (!account) return reply.code(401).send({ error: "Unauthorized" });
+  Object.assign(req.user, account);
+  const ctx = getRequestContext();
+  if (ctx) ctx.actor = { userId: account.uid, role: account.role, apiKeyId: req.user.apiKeyId };
+  const denied = await authorize(req);
+  if (denied) return reply.code(denied.code).send({ error: "Forbidden", message: denied.message });
+});
+
+// Use after app.auth on routes that need a confirmed email address (checked for the signed-in user, not the landlord)
+app.decorate("requireVerifiedEmail", async (req, reply) => {
+  if (!req.user?.emailVerified) {
+    return reply.code(403).send({ error: "Forbidden", message: "Please verify your email address first" });
+  }
+});
+
+// Tenant portal auth: phone-OTP tokens, never accepted by app.auth (they carry no session)
+app.decorate("tenantAuth", async (req, reply) => {
   try { await req.jwtVerify(); }
   catch (_) { return reply.code(401).send({ error: "Unauthorized" }); }
+  if (req.user.kind !== "tenant") return reply.code(401).send({ error: "Unauthorized" });
 });
 
 // Routes
@@ -45,6 +99,14 @@ import paymentRoutes from "./routes/payments.js";
 import profileRoutes from "./routes/profile.js";
 import floorRoutes from "./routes/floors.js";
 import overviewRoutes from "./routes/overview.js";
+import staffRoutes from "./routes/staff.js";
+import portalRoutes from "./routes/portal.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import auditRoutes from "./routes/audit.js";
+import reconcileRoutes from "./routes/reconcile.js";
+import analyticsRoutes from "./routes/analytics.js";
+import maintenanceRoutes from "./routes/maintenance.js";
+import expenseRoutes from "./routes/expenses.js";
 
 app.register(authRoutes, { prefix: "/auth" });
 app.register(propertyRoutes, { prefix: "/properties" });
@@ -57,10 +119,48 @@ app.register(paymentRoutes, { prefix: "/rent-periods" }); // nested payments
 app.register(profileRoutes, { prefix: "/profile" });
 app.register(overviewRoutes, { prefix: "/overview" });
 app.register(floorRoutes , {prefix: "/floors"})
+app.register(staffRoutes, { prefix: "/staff" });
+app.register(portalRoutes, { prefix: "/portal" });
+app.register(apiKeyRoutes, { prefix: "/api-keys" });
+app.register(auditRoutes, { prefix: "/audit" });
+app.register(reconcileRoutes, { prefix: "/reconcile" });
+app.register(analyticsRoutes, { prefix: "/analytics" });
+app.register(maintenanceRoutes, { prefix: "/maintenance" });
+app.register(expenseRoutes, { prefix: "/expenses" });
 
 
 app.get("/", async () => ({ ok: true }));
 
+// Permanently remove archived records once TRASH_RETENTION_DAYS have passed
+setInterval(() => {
+  purgeExpiredTrash()
+    .then((purged) => {
+      if (Object.values(purged).some((n) => n > 0)) app.log.info({ purged }, "Purged expired trash");
+    })
+    .catch((err) => app.log.error(err, "Trash purge failed"));
+}, 60 * 60 * 1000).unref();
+
+// Tenant documents saved before they had ids need one to be downloadable and deletable
+backfillDocumentIds()
+  .then((updated) => {
+    if (updated) app.log.info({ updated }, "Assigned ids to tenant documents");
+  })
+  .catch((err) => app.log.error(err, "Document id backfill failed"));
+
+// Unit labels are unique among live units only; replace the index that also covered the trash
+migrateUnitLabelIndex()
+  .then((dropped) => {
+    if (dropped) app.log.info("Dropped the unit label index that covered trashed units");
+  })
+  .catch((err) => app.log.error(err, "Unit label index migration failed"));
+
+// Leases saved with the old default due day of 1 should follow their property's due day
+migrateLeaseDueDays()
+  .then((ran) => {
+    if (ran) app.log.info("Cleared defaulted lease due days");
+  })
+  .catch((err) => app.log.error(err, "Lease due day migration failed"));
+
 const port = process.env.PORT || 3000;
 app.listen({ port, host: "0.0.0.0" }).then(() => {
   app.log.info(`Server running on :${port}`);
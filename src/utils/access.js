@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import Floor from "../models/Floor.js";
+import Unit from "../models/Unit.js";
+import Tenant from "../models/Tenant.js";
+import Lease from "../models/Lease.js";
+import RentPeriod from "../models/RentPeriod.js";
+import MaintenanceRequest from "../models/MaintenanceRequest.js";
+import Expense from "../models/Expense.js";
+import User from "../models/User.js";
+import { includeArchived } from "./softDelete.js";
+
+export const STAFF_ROLES = ["manager", "caretaker", "accountant"];
+
+// Permissions are "<resource>:<read|write>"; "*" grants everything
+const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  manager: [
+    "properties:read", "properties:write",
+    "floors:read", "floors:write",
+    "units:read", "units:write",
+    "tenants:read", "tenants:write",
+    "payments:read", "payments:write",
+    "leases:read", "leases:write",
+    "billing:read", "billing:write",
+    "maintenance:read", "maintenance:write",
+    "expenses:read", "expenses:write",
+    "overview:read",
+    "profile:read",
+  ],
+  caretaker: [
+    "properties:read",
+    "floors:read",
+    "units:read",
+    "tenants:read",
+    "payments:write",
+    "maintenance:read", "maintenance:write",
+  ],
+  accountant: [
+    "properties:read",
+    "floors:read",
+    "units:read",
+    "tenants:read",
+    "payments:read",
+    "leases:read",
+    "billing:read",
+    "maintenance:read",
+    "expenses:read", "expenses:write",
+    "overview:read",
+  ],
+};
+
+// Route prefix -> resource name used in permissions
+const RESOURCES = {
+  properties: "properties",
+  floors: "floors",
+  units: "units",
+  tenants: "tenants",
+  leases: "leases",
+  billing: "billing",
+  "rent-periods": "billing",
+  overview: "overview",
+  profile: "profile",
+  staff: "staff",
+  "api-keys": "apiKeys",
+  audit: "audit",
+  // recomputes derived counters of the properties it covers
+  reconcile: "properties",
+  analytics: "overview",
+  maintenance: "maintenance",
+  expenses: "expenses",
+};
+
+// Scopes an API key may carry; account, staff and key management stay with interactive logins
+export const API_KEY_SCOPES = [
+  "properties", "floors", "units", "tenants", "payments", "leases", "billing", "maintenance", "expenses",
+].flatMap((resource) => [`${resource}:read`, `${resource}:write`]).concat("overview:read", "profile:read");
+
+// Routes whose permission differs from the "GET = read, else write" rule
+const ROUTE_PERMISSIONS = {
+  "POST /tenants/pay-rent/:id": "payments:write",
+  "POST /tenants/rent/:id": "payments:write",
+  "POST /tenants/calculate-electricity-due/:id": "tenants:read",
+  "POST /rent-periods/:id/payments": "payments:write",
+  // adds to the tenant's dues
+  "POST /maintenance/:id/bill": "billing:write",
+  // full account export is owner-only even though managers may read the profile
+  "GET /profile/export": "profile:export",
+};
+
+// How to find the property a routed resource belongs to, keyed by route prefix
+// (archived resources included, so restoring them is scoped like any other write)
+const PROPERTY_LOOKUPS = {
+  properties: async (id) => id,
+  floors: async (id) => (await includeArchived(Floor.findById(id).select("propertyId")))?.propertyId,
+  units: async (id) => (await includeArchived(Unit.findById(id).select("propertyId")))?.propertyId,
+  tenants: async (id) => (await includeArchived(Tenant.findById(id).select("propertyId")))?.propertyId,
+  leases: async (id) => (await Lease.findById(id).select("propertyId"))?.propertyId,
+  "rent-periods": async (id) => (await RentPeriod.findById(id).select("propertyId"))?.propertyId,
+  maintenance: async (id) => (await MaintenanceRequest.findById(id).select("propertyId"))?.propertyId,
+  expenses: async (id) => (await Expense.findById(id).select("propertyId"))?.propertyId,
+};
+
+/**
+ * Resolve who is calling. `uid` is the signed-in user; `sub` is the landlord account whose
+ * data they work on (the owner's own id, or the owner a staff member belongs to).
+ */
+export async function loadAccount(userId) {
+  const user = await User.findById(userId).select("role ownerId propertyIds emailVerified");
+  if (!user) return null;
+  const role = user.role || "owner";
+  if (role !== "owner" && !user.ownerId) return null;
+  return {
+    uid: user._id.toString(),
+    sub: role === "owner" ? user._id.toString() : user.ownerId.toString(),
+    role,
+    propertyIds: (user.propertyIds || []).map(String),
+    emailVerified: !!user.emailVerified,
+  };
+}
+
+// An API key can do what its scopes allow, and never more than the user who created it
+function keyAllows(req, permission) {
+  if (!req.user.apiKeyId) return true;
+  return !!permission && (req.user.scopes || []).includes(permission);
+}
+
+export function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+export function hasPermission(permissions, permission) {
+  return permissions.includes("*") || permissions.includes(permission);
+}
+
+function routeKey(req) {
+  return `${req.method} ${req.routeOptions?.url || req.url.split("?")[0]}`;
+}
+
+function routePrefix(req) {
+  const url = req.routeOptions?.url || req.url;
+  return url.split("/")[1] || "";
+}
+
+// Permission needed for the current route, or null when the route is account self-service
+export function requiredPermission(req) {
+  const explicit = ROUTE_PERMISSIONS[routeKey(req)];
+  if (explicit) return explicit;
+
+  const resource = RESOURCES[routePrefix(req)];
+  if (!resource) return null;
+  return `${resource}:${req.method === "GET" ? "read" : "write"}`;
+}
+
+async function propertiesTouchedBy(req) {
+  const ids = [];
+  const prefix = routePrefix(req);
+  const resourceId = req.params?.id || req.params?.unitId;
+
+  if (resourceId && PROPERTY_LOOKUPS[prefix]) {
+    try {
+      ids.push(await PROPERTY_LOOKUPS[prefix](resourceId));
+    } catch (_) {
+      ids.push(null);
+    }
+  }
+  // a null body.propertyId unassigns; the resource lookup above already covers its current property
+  if (req.body?.propertyId) ids.push(req.body.propertyId);
+  if (req.query?.propertyId) ids.push(req.query.propertyId);
+  if (Array.isArray(req.body?.units)) {
+    for (const u of req.body.units) ids.push(u?.propertyId);
+  }
+  return ids;
+}
+
+/**
+ * Query condition limiting a list to the caller's property scope: { [field]: { $in: ids } } for
+ * property-scoped staff, {} for everyone else. authorize() only checks the propertyId a request
+ * names, so handlers listing across properties must add this to their queries themselves.
+ */
+export function propertyScopeFilter(req, field = "propertyId") {
+  const { role, propertyIds = [] } = req.user;
+  if (role === "owner" || !propertyIds.length) return {};
+  return { [field]: { $in: propertyIds.map((id) => new mongoose.Types.ObjectId(id)) } };
+}
+
+/**
+ * Central authorization for staff users. Returns null when allowed, otherwise
+ * { code, message } describing why the request is refused.
+ * Property-scoped staff must address a resource (or pass a propertyId) inside their scope.
+ * Requests made with an API key are further limited to the key's scopes.
+ */
+export async function authorize(req) {
+  const { role, propertyIds = [] } = req.user;
+  const permission = requiredPermission(req);
+  if (!keyAllows(req, permission)) {
+    return { code: 403, message: `This API key does not allow ${permission || "account management"}` };
+  }
+  if (!permission) return null;
+
+  if (!hasPermission(permissionsForRole(role), permission)) {
+    return { code: 403, message: `Your role (${role}) does not allow ${permission}` };
+  }
+
+  if (role === "owner" || !propertyIds.length) return null;
+
+  const touched = await propertiesTouchedBy(req);
+  if (!touched.length) {
+    return { code: 403, message: "propertyId is required for property-scoped access" };
+  }
+  const allowed = new Set(propertyIds.map(String));
+  const outside = touched.some((id) => !id || !allowed.has(String(id)));
+  if (outside) {
+    return { code: 403, message: "This property is outside your access scope" };
+  }
+  return null;
+}
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import Property from "../models/Property.js";
+import Floor from "../models/Floor.js";
+import Unit from "../models/Unit.js";
+import Tenant from "../models/Tenant.js";
+import Lease from "../models/Lease.js";
+import RentPeriod from "../models/RentPeriod.js";
+import Payment from "../models/Payment.js";
+import MaintenanceRequest from "../models/MaintenanceRequest.js";
+import Expense from "../models/Expense.js";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import AuditLog from "../models/AuditLog.js";
+import { includeArchived } from "./softDelete.js";
+import { removeDocumentFiles } from "./tenantDocuments.js";
+
+const { Types } = mongoose;
+
+// Every collection whose documents belong to a landlord through `landlordId`.
+// Export and account deletion both walk this list, so new landlord-owned models belong here.
+export const LANDLORD_COLLECTIONS = [
+  { name: "properties", model: Property },
+  { name: "floors", model: Floor },
+  { name: "units", model: Unit },
+  { name: "tenants", model: Tenant },
+  { name: "leases", model: Lease },
+  { name: "rent_periods", model: RentPeriod },
+  { name: "payments", model: Payment },
+  { name: "maintenance_requests", model: MaintenanceRequest },
+  { name: "expenses", model: Expense },
+];
+
+/**
+ * Collect a landlord's data as [{ name, content }] files: the account, its staff and one JSON
+ * file per landlord-owned collection (tenants include rentHistory, rentChanges and tenantHistory;
+ * archived records are included).
+ */
+export async function exportLandlordData(landlordId) {
+  const [account, staff] = await Promise.all([
+    User.findById(landlordId),
+    User.find({ ownerId: landlordId }).sort({ createdAt: 1 }),
+  ]);
+
+  const files = [
+    { name: "account.json", content: JSON.stringify(account, null, 2) },
+    { name: "staff.json", content: JSON.stringify(staff, null, 2) },
+  ];
+  for (const { name, model } of LANDLORD_COLLECTIONS) {
+    const docs = await includeArchived(model.find({ landlordId }).sort({ createdAt: 1 }).lean());
+    files.push({ name: `${name}.json`, content: JSON.stringify(docs, null, 2) });
+  }
+  return files;
+}
+
+/**
+ * Permanently remove a landlord account, its staff accounts, their sessions and API keys, every
+ * landlord-owned document and the uploaded tenant files. Returns the number of deleted documents
+ * per collection.
+ */
+export async function deleteLandlordData(landlordId) {
+  const deleted = {};
+  await removeDocumentFiles(await includeArchived(Tenant.find({ landlordId }).select("documents")));
+  for (const { name, model } of LANDLORD_COLLECTIONS) {
+    const res = await includeArchived(model.deleteMany({ landlordId }));
+    deleted[name] = res.deletedCount;
+  }
+
+  const staffIds = (await User.find({ ownerId: landlordId }).select("_id")).map((u) => u._id);
+  const userIds = [landlordId, ...staffIds];
+  await Session.deleteMany({ userId: { $in: userIds } });
+  await ApiKey.deleteMany({ userId: { $in: userIds } });
+  // the model refuses deletes to keep the log append-only; closing the account is the one exception
+  deleted.audit_logs = (await AuditLog.collection.deleteMany({ landlordId: new Types.ObjectId(landlordId) })).deletedCount;
+  deleted.staff = (await User.deleteMany({ _id: { $in: staffIds } })).deletedCount;
+  deleted.users = (await User.deleteOne({ _id: landlordId })).deletedCount;
+  return deleted;
+}
@@ -0,0 +1,36 @@
+import ApiKey from "../models/ApiKey.js";
+import { randomToken, hashToken } from "./tokens.js";
+
+const KEY_PREFIX = "hn_";
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Keys look like "hn_<random>"; only the hash is stored, the key itself is shown once
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${randomToken(32)}`;
+  return { key, keyHash: hashToken(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+// API keys are sent as "X-API-Key: hn_..." or "Authorization: Bearer hn_..."
+export function extractApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (typeof header === "string" && header) return header.trim();
+  const [scheme, value] = String(req.headers.authorization || "").split(" ");
+  if (/^bearer$/i.test(scheme) && value?.startsWith(KEY_PREFIX)) return value.trim();
+  return null;
+}
+
+/**
+ * Look up an active (unrevoked, unexpired) key and record its use.
+ * Returns the ApiKey document or null.
+ */
+export async function resolveApiKey(key, req) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+  // only write when the stored value is stale, so busy integrations don't write on every call
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } });
+  }
+  return apiKey;
+}
@@ -0,0 +1,23 @@
+/**
+ * Asking rent of a unit on `date`, from its effective-dated askingRentHistory
+ * (units priced before the history existed fall back to askingRent).
+ */
+export function askingRentOn(unit, date = new Date()) {
+  const when = new Date(date).getTime();
+  let current = null;
+  for (const change of unit.askingRentHistory || []) {
+    const from = new Date(change.effectiveFrom).getTime();
+    if (from <= when && (!current || from >= new Date(current.effectiveFrom).getTime())) current = change;
+  }
+  if (current) return current.amount;
+  return unit.askingRentHistory?.length ? null : (unit.askingRent ?? null);
+}
+
+/**
+ * Monthly rent a tenant moving into `unit` on `date` starts with: the per-bed rent of a
+ * shared room, otherwise the unit's asking rent. Null when the unit has neither.
+ */
+export function defaultTenantRent(unit, date = new Date()) {
+  if (unit.rentPerBed != null) return unit.rentPerBed;
+  return askingRentOn(unit, date);
+}
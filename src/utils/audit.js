@@ -0,0 +1,157 @@
+import AuditLog from "../models/AuditLog.js";
+import { getRequestContext } from "./requestContext.js";
+import { includeArchived } from "./softDelete.js";
+
+// Bookkeeping fields that change on every write and say nothing about who changed what
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+// Logs failed audit writes outside a request (background jobs); see setAuditLogger
+let backgroundLogger = null;
+
+export function setAuditLogger(logger) {
+  backgroundLogger = logger;
+}
+
+function plain(doc) {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+}
+
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed = [...fields].filter(
+    (f) => !IGNORED_FIELDS.has(f) && JSON.stringify(before?.[f]) !== JSON.stringify(after?.[f])
+  );
+  return {
+    changedFields: changed,
+    before: Object.fromEntries(changed.map((f) => [f, before?.[f]])),
+    after: Object.fromEntries(changed.map((f) => [f, after?.[f]])),
+  };
+}
+
+async function writeEntries(entity, changes) {
+  const ctx = getRequestContext();
+  const entries = [];
+  for (const { action, before, after } of changes) {
+    const doc = after || before;
+    const entry = { action, entity, entityId: doc._id, landlordId: doc.landlordId };
+    if (action === "update") {
+      const d = diff(before, after);
+      if (!d.changedFields.length) continue;
+      Object.assign(entry, d);
+    } else if (action === "create") {
+      entry.after = after;
+    } else {
+      entry.before = before;
+    }
+    entries.push({
+      ...entry,
+      actor: ctx?.actor || null,
+      route: ctx?.route,
+      ip: ctx?.ip,
+    });
+  }
+  if (!entries.length) return;
+  try {
+    await AuditLog.insertMany(entries);
+  } catch (err) {
+    // the change itself already happened; losing the entry must not turn it into a failed request
+    const log = ctx?.log || backgroundLogger;
+    if (log) log.error({ err, entity }, "Failed to write audit log");
+    else console.error("Failed to write audit log", err);
+  }
+}
+
+const SNAPSHOT_ID_FIELDS = "_id landlordId";
+
+// Top-level fields an update document writes (with the ids every entry needs), as a projection;
+// null for pipeline updates, whose targets cannot be read off the update
+function updatedFields(update) {
+  if (!update || Array.isArray(update)) return null;
+  const fields = new Set(SNAPSHOT_ID_FIELDS.split(" "));
+  for (const [key, value] of Object.entries(update)) {
+    const paths = key.startsWith("$") ? Object.keys(value || {}) : [key];
+    for (const path of paths) fields.add(path.split(".")[0]);
+  }
+  return [...fields].join(" ");
+}
+
+/**
+ * Mongoose plugin recording every create, update and delete of a model in the audit log,
+ * whether it goes through document.save(), query helpers or insertMany.
+ */
+export function auditPlugin(schema, { entity }) {
+  // snapshot loaded documents so save() can tell what changed
+  schema.post("init", function () {
+    this.$locals.auditOriginal = plain(this);
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditWasNew = this.isNew;
+  });
+  schema.post("save", async function () {
+    const after = plain(this);
+    const before = this.$locals.auditWasNew ? null : this.$locals.auditOriginal;
+    this.$locals.auditOriginal = after;
+    await writeEntries(entity, [{ action: before ? "update" : "create", before, after }]);
+  });
+
+  schema.post("insertMany", async function (docs) {
+    await writeEntries(entity, docs.map((d) => ({ action: "create", before: null, after: plain(d) })));
+  });
+
+  // Query writes (document.deleteOne() runs as a query too): load the affected documents
+  // first, then compare with their new state. Bulk writes can touch many large documents, so
+  // updateMany snapshots only the fields it changes and deleteMany only records ids.
+  const UPDATE_QUERIES = ["updateOne", "updateMany", "findOneAndUpdate"];
+  const DELETE_QUERIES = ["deleteOne", "deleteMany", "findOneAndDelete"];
+
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function () {
+    const query = includeArchived(this.model.find(this.getFilter()).lean());
+    if (this.op === "updateMany") {
+      this._auditFields = updatedFields(this.getUpdate());
+      if (this._auditFields) query.select(this._auditFields);
+    } else if (this.op === "deleteMany") {
+      query.select(SNAPSHOT_ID_FIELDS);
+    } else {
+      const { sort } = this.getOptions();
+      if (sort) query.sort(sort);
+      query.limit(1);
+    }
+    this._auditBefore = await query;
+  });
+
+  schema.post(UPDATE_QUERIES, { document: false, query: true }, async function () {
+    const before = this._auditBefore || [];
+    let afterDocs;
+    if (before.length) {
+      // archiving is an update, so look at the documents whether or not they are archived now
+      const after = includeArchived(this.model.find({ _id: { $in: before.map((d) => d._id) } }).lean());
+      if (this._auditFields) after.select(this._auditFields);
+      afterDocs = await after;
+    } else if (this.getOptions().upsert) {
+      afterDocs = await this.model.find(this.getFilter()).limit(1).lean();
+    } else {
+      return;
+    }
+    const beforeById = new Map(before.map((d) => [String(d._id), d]));
+    await writeEntries(
+      entity,
+      afterDocs.map((after) => {
+        const prev = beforeById.get(String(after._id)) || null;
+        return { action: prev ? "update" : "create", before: prev, after };
+      })
+    );
+  });
+
+  schema.post(DELETE_QUERIES, { document: false, query: true }, async function () {
+    const before = this._auditBefore || [];
+    const remaining = new Set(
+      (await includeArchived(this.model.find({ _id: { $in: before.map((d) => d._id) } }).select("_id").lean())).map((d) => String(d._id))
+    );
+    await writeEntries(
+      entity,
+      before.filter((d) => !remaining.has(String(d._id))).map((d) => ({ action: "delete", before: d, after: null }))
+    );
+  });
+}
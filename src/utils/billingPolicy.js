@@ -0,0 +1,155 @@
+import { z } from "zod";
+import Property from "../models/Property.js";
+import Tenant from "../models/Tenant.js";
+import Lease from "../models/Lease.js";
+import { runOnce } from "./migrations.js";
+import { calculateTenantStatusAndDue } from "./tenantDues.js";
+
+// Used when neither the property nor the tenant/lease sets a value
+export const BILLING_DEFAULTS = {
+  dueDay: 1,
+  graceDays: 15,
+  penaltyMode: "flatPerDay",
+  penaltyRate: 0,
+  electricityPerUnit: 0,
+  currency: "INR",
+};
+
+export const PENALTY_MODES = ["flatPerDay", "percentPerDay"];
+
+const billingFields = z.object({
+  dueDay: z.number().int().min(1, "Due day must be 1–28").max(28, "Due day must be 1–28"),
+  graceDays: z.number().int().min(0, "Grace days cannot be negative"),
+  penaltyMode: z.enum(PENALTY_MODES),
+  penaltyRate: z.number().min(0, "Penalty rate cannot be negative"),
+  electricityPerUnit: z.number().min(0, "Electricity rate cannot be negative"),
+  currency: z.string().regex(/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"),
+});
+
+// Property.billing: any subset of the settings
+export const billingSettingsSchema = billingFields.partial();
+
+// Tenant.billingOverrides: null clears an override so the property value applies again.
+// The electricity rate is not here; tenants keep their own electricityPerUnit.
+export const billingOverridesSchema = z.object(
+  Object.fromEntries(
+    Object.entries(billingFields.omit({ electricityPerUnit: true }).shape)
+      .map(([field, schema]) => [field, schema.nullable().optional()])
+  )
+);
+
+// Apply an overrides patch to the current overrides; null removes a field
+export function mergeBillingOverrides(current, patch) {
+  const merged = { ...plainSettings(current), ...patch };
+  return Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== null && v !== undefined));
+}
+
+// Turn { billing: { dueDay: 5 } } into { "billing.dueDay": 5 } so updates keep the other settings
+export function billingUpdate(prefix, settings) {
+  return Object.fromEntries(
+    Object.entries(settings || {}).map(([field, value]) => [`${prefix}.${field}`, value])
+  );
+}
+
+/**
+ * Effective billing policy for a tenant. Later sources win:
+ * defaults < property.billing < lease (dueDay when set, enabled penaltyOverride) < tenant.billingOverrides.
+ * The electricity rate is the tenant's own `electricityPerUnit`, which is copied from the property
+ * when the tenant is created, so later property changes do not reprice past meter readings.
+ * `sources` tells where each value came from.
+ */
+export function resolveBillingPolicy({ property, tenant, lease } = {}) {
+  const policy = { ...BILLING_DEFAULTS };
+  const sources = Object.fromEntries(Object.keys(policy).map((k) => [k, "default"]));
+
+  const apply = (values, source) => {
+    for (const [key, value] of Object.entries(values || {})) {
+      if (key in policy && value !== undefined && value !== null) {
+        policy[key] = value;
+        sources[key] = source;
+      }
+    }
+  };
+
+  apply(plainSettings(property?.billing), "property");
+  if (lease) {
+    apply({ dueDay: lease.dueDay }, "lease");
+    const override = lease.penaltyOverride;
+    if (override?.enabled) {
+      apply({ graceDays: override.graceDays, penaltyMode: override.mode, penaltyRate: override.rate }, "lease");
+    }
+  }
+  apply(plainSettings(tenant?.billingOverrides), "tenant");
+  if (tenant) apply({ electricityPerUnit: tenant.electricityPerUnit }, "tenant");
+
+  return { ...policy, sources };
+}
+
+/**
+ * Load the records behind a tenant's policy and resolve it. Without a leaseId the tenant's
+ * active lease (if any) is used.
+ */
+export async function loadBillingPolicy({ landlordId, tenantId, leaseId, propertyId }) {
+  const tenant = tenantId ? await Tenant.findOne({ _id: tenantId, landlordId }) : null;
+  const lease = leaseId
+    ? await Lease.findOne({ _id: leaseId, landlordId })
+    : tenantId
+      ? await Lease.findOne({ tenantId, landlordId, status: "active" })
+      : null;
+  const pid = propertyId || lease?.propertyId || tenant?.propertyId;
+  const property = pid ? await Property.findOne({ _id: pid, landlordId }) : null;
+  return resolveBillingPolicy({ property, tenant, lease });
+}
+
+/**
+ * Policies for a page of tenants of one landlord, keyed by tenant id, with one query for their
+ * properties and one for their active leases. Tenants may have propertyId populated.
+ */
+export async function loadBillingPolicies(landlordId, tenants) {
+  const idOf = (ref) => (ref?._id ?? ref)?.toString();
+  const propertyIds = [...new Set(tenants.map((t) => idOf(t.propertyId)).filter(Boolean))];
+  const [properties, leases] = await Promise.all([
+    Property.find({ _id: { $in: propertyIds }, landlordId }).select("billing"),
+    Lease.find({ tenantId: { $in: tenants.map((t) => t._id) }, landlordId, status: "active" }),
+  ]);
+  const propertyById = new Map(properties.map((p) => [p._id.toString(), p]));
+  const leaseByTenant = new Map(leases.map((l) => [l.tenantId.toString(), l]));
+  return new Map(tenants.map((t) => [
+    t._id.toString(),
+    resolveBillingPolicy({
+      property: propertyById.get(idOf(t.propertyId)),
+      tenant: t,
+      lease: leaseByTenant.get(t._id.toString()),
+    }),
+  ]));
+}
+
+/**
+ * Dues of a landlord's tenants (see calculateTenantStatusAndDue) under each one's effective
+ * billing policy, in the order given. Tenants need propertyId, billingOverrides and the fields
+ * the dues calculation reads.
+ */
+export async function tenantDuesWithPolicies(landlordId, tenants, currentDate = new Date()) {
+  const policies = await loadBillingPolicies(landlordId, tenants);
+  return tenants.map((t) => calculateTenantStatusAndDue(t, currentDate, policies.get(t._id.toString())));
+}
+
+export async function tenantDuesWithPolicy(tenant, currentDate = new Date()) {
+  const [dues] = await tenantDuesWithPolicies(tenant.landlordId, [tenant], currentDate);
+  return dues;
+}
+
+/**
+ * Leases used to be saved with dueDay 1 when none was given, which would now override the
+ * property's due day. Unset those once; a 1 saved after this is an explicit choice.
+ */
+export async function migrateLeaseDueDays() {
+  return runOnce("lease-due-day-default", async () => {
+    await Lease.collection.updateMany({ dueDay: 1 }, { $unset: { dueDay: "" } });
+  });
+}
+
+function plainSettings(settings) {
+  if (!settings) return null;
+  return typeof settings.toObject === "function" ? settings.toObject() : settings;
+}
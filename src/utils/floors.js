@@ -0,0 +1,95 @@
+import Floor from "../models/Floor.js";
+
+// Floor numbers: 0 = ground, negatives = basements, x.5 = mezzanine above floor x
+export const MIN_FLOOR_NUMBER = -10;
+export const MAX_FLOOR_NUMBER = 200;
+
+export function isValidFloorNumber(n) {
+  return Number.isInteger(n * 2) && n >= MIN_FLOOR_NUMBER && n <= MAX_FLOOR_NUMBER;
+}
+
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  switch (n % 10) {
+    case 1: return `${n}st`;
+    case 2: return `${n}nd`;
+    case 3: return `${n}rd`;
+    default: return `${n}th`;
+  }
+}
+
+// Default display name: "Basement 2", "Ground Floor", "Mezzanine", "1st Floor Mezzanine", "11th Floor"
+export function floorName(n) {
+  if (!Number.isInteger(n)) {
+    const below = Math.floor(n);
+    return below === 0 ? "Mezzanine" : `${floorName(below)} Mezzanine`;
+  }
+  if (n < 0) return `Basement ${-n}`;
+  if (n === 0) return "Ground Floor";
+  return `${ordinal(n)} Floor`;
+}
+
+/**
+ * Numbers for `count` new floors starting at `start`, going up from the ground
+ * and down (deeper) for basements.
+ */
+export function floorNumbersFrom(start, count) {
+  const step = start < 0 ? -1 : 1;
+  return Array.from({ length: count }, (_, i) => start + i * step);
+}
+
+/**
+ * Make room for `count` floors at `start` by moving the floors in the way:
+ * floors at or above `start` move up, or for basements floors at or below `start` move down.
+ * Floors keep their _id, so units stay attached. Generated names follow the new numbers.
+ */
+export async function shiftFloors({ propertyId, landlordId, start, count }) {
+  const goingDown = start < 0;
+  const floors = await Floor.find({
+    propertyId,
+    landlordId,
+    floorNumber: goingDown ? { $lte: start } : { $gte: start },
+  }).sort({ floorNumber: goingDown ? 1 : -1 }); // move the farthest floor first so numbers never collide
+
+  for (const floor of floors) {
+    floor.floorNumber += goingDown ? -count : count;
+    if (!isValidFloorNumber(floor.floorNumber)) {
+      throw new Error(`Shifting would move '${floor.name}' outside the allowed floor range`);
+    }
+    if (!floor.isCustomName) floor.name = floorName(floor.floorNumber);
+    await floor.save();
+  }
+  return floors.length;
+}
+
+/**
+ * Assign new numbers to floors of a property ([{ floorId, floorNumber }]). Numbers are parked
+ * on temporary values first so swaps do not trip the unique index.
+ */
+export async function renumberFloors({ propertyId, landlordId, changes }) {
+  const floors = await Floor.find({ propertyId, landlordId });
+  const byId = new Map(floors.map((f) => [f._id.toString(), f]));
+
+  const target = new Map(floors.map((f) => [f._id.toString(), f.floorNumber]));
+  for (const { floorId, floorNumber } of changes) {
+    if (!byId.has(floorId)) throw new Error(`Floor ${floorId} not found in this property`);
+    target.set(floorId, floorNumber);
+  }
+  const numbers = [...target.values()];
+  const duplicate = numbers.find((n, i) => numbers.indexOf(n) !== i);
+  if (duplicate !== undefined) throw new Error(`Floor number ${duplicate} would be used twice`);
+
+  const moving = changes.map((c) => byId.get(c.floorId)).filter((f) => f.floorNumber !== target.get(f._id.toString()));
+  const PARKING_OFFSET = 100000;
+  for (const [i, floor] of moving.entries()) {
+    await Floor.updateOne({ _id: floor._id }, { $set: { floorNumber: -(PARKING_OFFSET + i) } });
+  }
+  for (const floor of moving) {
+    const floorNumber = target.get(floor._id.toString());
+    const update = { floorNumber };
+    if (!floor.isCustomName) update.name = floorName(floorNumber);
+    await Floor.updateOne({ _id: floor._id }, { $set: update });
+  }
+  return Floor.find({ propertyId, landlordId }).sort({ floorNumber: 1 });
+}
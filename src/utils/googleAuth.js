@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import jwt from "jsonwebtoken";
+
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const DEFAULT_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const DEFAULT_CACHE_SECONDS = 3600;
+// unknown kids trigger at most one early refetch per interval
+const FORCED_REFETCH_INTERVAL_MS = 60 * 1000;
+
+let cache = { keys: new Map(), expiresAt: 0 };
+let pendingFetch = null;
+let lastForcedFetchAt = 0;
+
+// Load the JWKS either from a local file (offline dev/tests) or from Google's endpoint
+async function fetchJwks() {
+  if (process.env.GOOGLE_JWKS_FILE) {
+    const raw = await fs.readFile(process.env.GOOGLE_JWKS_FILE, "utf8");
+    return { jwks: JSON.parse(raw), maxAge: DEFAULT_CACHE_SECONDS };
+  }
+
+  const res = await fetch(process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL);
+  if (!res.ok) throw new Error(`Failed to fetch Google JWKS (${res.status})`);
+  const maxAgeMatch = /max-age=(\d+)/.exec(res.headers.get("cache-control") || "");
+  return {
+    jwks: await res.json(),
+    maxAge: maxAgeMatch ? Number(maxAgeMatch[1]) : DEFAULT_CACHE_SECONDS,
+  };
+}
+
+async function refreshKeys() {
+  const { jwks, maxAge } = await fetchJwks();
+  const keys = new Map();
+  for (const jwk of jwks.keys || []) {
+    if (!jwk.kid || jwk.kty !== "RSA") continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+  }
+  cache = { keys, expiresAt: Date.now() + maxAge * 1000 };
+  return keys;
+}
+
+// concurrent logins share one fetch
+async function loadKeys(force = false) {
+  if (!force && cache.expiresAt > Date.now()) return cache.keys;
+  pendingFetch ??= refreshKeys().finally(() => {
+    pendingFetch = null;
+  });
+  return pendingFetch;
+}
+
+async function getSigningKey(kid) {
+  let keys = await loadKeys();
+  // Google rotates keys, so an unknown kid may be new: refetch early, but rate-limited so
+  // tokens with made-up kids cannot make every login call Google
+  if (!keys.has(kid) && Date.now() - lastForcedFetchAt >= FORCED_REFETCH_INTERVAL_MS) {
+    lastForcedFetchAt = Date.now();
+    keys = await loadKeys(true);
+  }
+  const key = keys.get(kid);
+  if (!key) throw new Error("Unknown signing key");
+  return key;
+}
+
+function allowedAudiences() {
+  return (process.env.GOOGLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Verify a Google ID token (signature, audience, issuer, expiry) and return its claims.
+ * Throws if the token is not valid for this app.
+ */
+export async function verifyGoogleIdToken(idToken) {
+  const audiences = allowedAudiences();
+  if (!audiences.length) throw new Error("GOOGLE_CLIENT_ID is not configured");
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) throw new Error("Malformed ID token");
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256"],
+    audience: audiences,
+    issuer: GOOGLE_ISSUERS,
+  });
+
+  if (!claims.sub) throw new Error("ID token has no subject");
+  const emailVerified = claims.email_verified === true || claims.email_verified === "true";
+  if (!claims.email || !emailVerified) {
+    throw new Error("Google account email is not verified");
+  }
+  return claims;
+}
@@ -0,0 +1,98 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+// Pluggable email delivery. Pick a transport with MAIL_TRANSPORT: sendgrid, smtp, file or console.
+// Without MAIL_TRANSPORT, SendGrid is used when SENDGRID_API_KEY is set, otherwise console.
+
+function sinkDir() {
+  return process.env.MAIL_SINK_DIR || path.join(os.tmpdir(), "homenest-mail");
+}
+
+let sendgridClient;
+async function sendgrid() {
+  if (!sendgridClient) {
+    if (!process.env.SENDGRID_API_KEY) throw new Error("SendGrid is not configured");
+    sendgridClient = (await import("@sendgrid/mail")).default;
+    sendgridClient.setApiKey(process.env.SENDGRID_API_KEY);
+  }
+  return sendgridClient;
+}
+
+let smtpClient;
+async function smtp() {
+  if (!smtpClient) {
+    if (!process.env.SMTP_HOST) throw new Error("SMTP is not configured");
+    const nodemailer = (await import("nodemailer")).default;
+    const port = Number(process.env.SMTP_PORT || 587);
+    smtpClient = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return smtpClient;
+}
+
+const transports = {
+  sendgrid: async (message) => {
+    const client = await sendgrid();
+    await client.send({
+      ...message,
+      trackingSettings: { clickTracking: { enable: false, enableText: false } },
+    });
+  },
+
+  smtp: async (message) => {
+    const client = await smtp();
+    await client.sendMail(message);
+  },
+
+  // Writes each message as JSON into MAIL_SINK_DIR so local runs and tests can read it back
+  file: async (message) => {
+    const dir = sinkDir();
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  },
+
+  // Local development stub: prints the message instead of sending it
+  console: async ({ to, subject, text, html }) => {
+    console.info(`[mail] to ${to}: ${subject}\n${text || html}`);
+  },
+};
+
+export function registerMailTransport(name, transport) {
+  transports[name] = transport;
+}
+
+export async function sendMail({ to, subject, html, text }) {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SENDGRID_API_KEY ? "sendgrid" : "console");
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport '${name}'`);
+  await transport({ to, from: process.env.EMAIL_FROM, subject, html, text });
+}
+
+/**
+ * Messages captured by the file transport, oldest first. Optionally only those sent to `to`.
+ */
+export async function readSentMail({ to } = {}) {
+  const dir = sinkDir();
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const messages = await Promise.all(
+    files.map(async (f) => JSON.parse(await fs.readFile(path.join(dir, f), "utf8")))
+  );
+  return to ? messages.filter((m) => m.to === to) : messages;
+}
+
+export async function clearSentMail() {
+  await fs.rm(sinkDir(), { recursive: true, force: true });
+}
@@ -0,0 +1,71 @@
+import { z } from "zod";
+import { MAINTENANCE_CATEGORIES, MAINTENANCE_PRIORITIES } from "../models/MaintenanceRequest.js";
+
+// open → assigned → in_progress → resolved; steps back and cancelling are allowed until resolved,
+// and a resolved request can be reopened
+export const STATUS_TRANSITIONS = {
+  open: ["assigned", "cancelled"],
+  assigned: ["in_progress", "open", "cancelled"],
+  in_progress: ["resolved", "assigned", "cancelled"],
+  resolved: ["open"],
+  cancelled: [],
+};
+
+// Timestamp recorded the first time a request enters a status
+const STATUS_TIMESTAMPS = {
+  assigned: "assignedAt",
+  in_progress: "startedAt",
+  resolved: "resolvedAt",
+  cancelled: "cancelledAt",
+};
+
+export const photoSchema = z.object({
+  url: z.string().url("Photo url must be a valid URL"),
+  caption: z.string().max(200).optional(),
+});
+
+export const raiseRequestSchema = z.object({
+  title: z.string().trim().min(1, "Title is required").max(200),
+  description: z.string().max(5000).optional(),
+  category: z.enum(MAINTENANCE_CATEGORIES),
+  priority: z.enum(MAINTENANCE_PRIORITIES).optional(),
+  photos: z.array(photoSchema).max(10).optional(),
+});
+
+/**
+ * Move a request to `status`, recording who did it. Returns an error message when the
+ * workflow does not allow the step, otherwise null.
+ */
+export function changeStatus(request, status, { by = null, note } = {}) {
+  if (request.status === status) return `Request is already ${status}`;
+  if (!STATUS_TRANSITIONS[request.status].includes(status)) {
+    return `Cannot move a request from ${request.status} to ${status}`;
+  }
+  if (status === "assigned" && !request.vendor?.name) {
+    return "Assign a vendor before marking the request assigned";
+  }
+  const now = new Date();
+  request.status = status;
+  request.statusHistory.push({ status, at: now, by, note });
+  const field = STATUS_TIMESTAMPS[status];
+  if (field) request[field] = now;
+  if (status === "open") request.resolvedAt = undefined;
+  return null;
+}
+
+// What a tenant sees of a request raised for their tenancy
+export function tenantRequestView(request) {
+  return {
+    id: request._id,
+    title: request.title,
+    description: request.description,
+    category: request.category,
+    priority: request.priority,
+    status: request.status,
+    photos: request.photos,
+    statusHistory: request.statusHistory.map(({ status, at, note }) => ({ status, at, note })),
+    billedAmount: request.billing?.amount ?? null,
+    createdAt: request.createdAt,
+    resolvedAt: request.resolvedAt,
+  };
+}
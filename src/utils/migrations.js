@@ -0,0 +1,22 @@
+import Migration from "../models/Migration.js";
+
+/**
+ * Run a one-off data migration unless it has already run. The name is claimed before running, so
+ * several servers starting together run it once; a failed run releases the claim to retry later.
+ * Returns whether it ran now.
+ */
+export async function runOnce(name, migrate) {
+  try {
+    await Migration.create({ name });
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+  try {
+    await migrate();
+  } catch (err) {
+    await Migration.deleteOne({ name });
+    throw err;
+  }
+  return true;
+}
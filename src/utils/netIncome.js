@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import Property from "../models/Property.js";
+import Tenant from "../models/Tenant.js";
+import Payment from "../models/Payment.js";
+import RentPeriod from "../models/RentPeriod.js";
+import Expense from "../models/Expense.js";
+import { includeArchived } from "./softDelete.js";
+
+const { Types } = mongoose;
+
+const INCOME_TYPES = { flat_rent: "rent", electricity: "electricity", extra_charge: "extraCharges" };
+const round = (n) => Math.round(n * 100) / 100;
+
+function periodKey(date, groupBy) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  return groupBy === "year" ? String(year) : `${year}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function emptyLine() {
+  return {
+    income: { rent: 0, electricity: 0, extraCharges: 0, leasePayments: 0, total: 0 },
+    expenses: { byCategory: {}, total: 0 },
+    netOperatingIncome: 0,
+  };
+}
+
+// Property a tenant lived in on `date`, from tenantHistory (falls back to the current property)
+function propertyAt(tenant, date) {
+  let propertyId = null;
+  for (const entry of tenant.tenantHistory || []) {
+    if (new Date(entry.updatedAt) > date) break;
+    propertyId = entry.propertyId || null;
+  }
+  return propertyId || tenant.propertyId || null;
+}
+
+/**
+ * Income vs expenses per property and per month (or year) between `from` and `to`.
+ * Income is money actually received: tenant payments (rent, electricity, extra charges),
+ * attributed to the property the tenant lived in when paying, plus payments on lease rent
+ * periods. Net operating income = income - expenses.
+ */
+export async function netIncomeReport({ landlordId, propertyId, from, to, groupBy = "month" }) {
+  const propertyFilter = { landlordId };
+  if (propertyId) propertyFilter._id = propertyId;
+  // deleted properties still show up when they have entries in the range
+  const properties = await includeArchived(Property.find(propertyFilter).select("name archived").sort({ name: 1 }));
+  const propertyIds = properties.map((p) => p._id);
+  const wanted = new Set(propertyIds.map(String));
+
+  const rows = new Map(); // propertyId -> Map(period -> line)
+  const line = (pid, date) => {
+    const key = String(pid);
+    if (!rows.has(key)) rows.set(key, new Map());
+    const periods = rows.get(key);
+    const period = periodKey(date, groupBy);
+    if (!periods.has(period)) periods.set(period, emptyLine());
+    return periods.get(period);
+  };
+  const inRange = (date) => date >= from && date <= to;
+
+  // Tenant payments
+  const tenants = await includeArchived(
+    Tenant.find({ landlordId, "rentHistory.paidAt": { $gte: from, $lte: to } })
+      .select("propertyId tenantHistory rentHistory")
+  );
+  for (const tenant of tenants) {
+    for (const payment of tenant.rentHistory) {
+      const paidAt = new Date(payment.paidAt);
+      if (!inRange(paidAt)) continue;
+      const pid = propertyAt(tenant, paidAt);
+      if (!pid || !wanted.has(String(pid))) continue;
+      const l = line(pid, paidAt);
+      l.income[INCOME_TYPES[payment.rentType] || "rent"] += payment.amount || 0;
+    }
+  }
+
+  // Lease rent period payments
+  const payments = await Payment.find({ landlordId, paidAt: { $gte: from, $lte: to } }).select("rentPeriodId amount paidAt");
+  if (payments.length) {
+    const periods = await RentPeriod.find({ _id: { $in: payments.map((p) => p.rentPeriodId) } }).select("propertyId");
+    const propertyOf = new Map(periods.map((rp) => [String(rp._id), String(rp.propertyId)]));
+    for (const p of payments) {
+      const pid = propertyOf.get(String(p.rentPeriodId));
+      if (!pid || !wanted.has(pid)) continue;
+      line(pid, p.paidAt).income.leasePayments += p.amount || 0;
+    }
+  }
+
+  // Expenses
+  const expenses = await Expense.aggregate([
+    {
+      $match: {
+        landlordId: new Types.ObjectId(landlordId),
+        propertyId: { $in: propertyIds },
+        date: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          propertyId: "$propertyId",
+          period: { $dateToString: { date: "$date", format: groupBy === "year" ? "%Y" : "%Y-%m" } },
+          category: "$category",
+        },
+        amount: { $sum: "$amount" },
+        date: { $min: "$date" },
+      },
+    },
+  ]);
+  for (const e of expenses) {
+    const l = line(e._id.propertyId, e.date);
+    l.expenses.byCategory[e._id.category] = (l.expenses.byCategory[e._id.category] || 0) + e.amount;
+  }
+
+  const totals = emptyLine();
+  const addInto = (target, l) => {
+    for (const k of Object.keys(l.income)) target.income[k] += l.income[k];
+    for (const [c, amount] of Object.entries(l.expenses.byCategory)) {
+      target.expenses.byCategory[c] = (target.expenses.byCategory[c] || 0) + amount;
+    }
+  };
+  const finish = (l) => {
+    l.income.total = round(l.income.rent + l.income.electricity + l.income.extraCharges + l.income.leasePayments);
+    l.expenses.total = round(Object.values(l.expenses.byCategory).reduce((a, b) => a + b, 0));
+    l.netOperatingIncome = round(l.income.total - l.expenses.total);
+    return l;
+  };
+
+  const report = [];
+  for (const property of properties) {
+    const periods = rows.get(String(property._id));
+    if (!periods && property.archived) continue;
+    const propertyTotals = emptyLine();
+    const lines = [...(periods || new Map()).entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, l]) => {
+        addInto(propertyTotals, l);
+        return { period, ...finish(l) };
+      });
+    addInto(totals, propertyTotals);
+    report.push({ propertyId: property._id, name: property.name, periods: lines, totals: finish(propertyTotals) });
+  }
+
+  return { from, to, groupBy, totals: finish(totals), properties: report };
+}
@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+import Unit from "../models/Unit.js";
+import Floor from "../models/Floor.js";
+import Property from "../models/Property.js";
+import Tenant from "../models/Tenant.js";
+import Lease from "../models/Lease.js";
+
+const { Types } = mongoose;
+
+// Units saved before bed tracking have no capacity/occupiedBeds: treat them as single-bed units.
+// An occupied unit always counts at least one taken bed.
+const CAPACITY = { $ifNull: ["$capacity", 1] };
+const OCCUPIED_BEDS = {
+  $cond: [{ $eq: ["$status", "occupied"] }, { $max: [{ $ifNull: ["$occupiedBeds", 0] }, 1] }, 0],
+};
+
+// $expr for units with at least one free bed
+export const HAS_FREE_BED = { $lt: [OCCUPIED_BEDS, CAPACITY] };
+
+const countFields = {
+  units: { $sum: 1 },
+  vacant: { $sum: { $cond: [{ $eq: ["$status", "vacant"] }, 1, 0] } },
+  occupied: { $sum: { $cond: [{ $eq: ["$status", "occupied"] }, 1, 0] } },
+  // occupied units with at least one free bed
+  partiallyOccupied: {
+    $sum: { $cond: [{ $and: [{ $eq: ["$status", "occupied"] }, HAS_FREE_BED] }, 1, 0] },
+  },
+  beds: { $sum: { $cond: [{ $eq: ["$status", "inactive"] }, 0, CAPACITY] } },
+  occupiedBeds: { $sum: OCCUPIED_BEDS },
+};
+
+async function unitCounts(match) {
+  const agg = await Unit.aggregate([{ $match: match }, { $group: { _id: null, ...countFields } }]);
+  const c = agg[0] || { units: 0, vacant: 0, occupied: 0, partiallyOccupied: 0, beds: 0, occupiedBeds: 0 };
+  return { ...c, vacantBeds: Math.max(0, c.beds - c.occupiedBeds) };
+}
+
+// Counter fields a floor should hold, computed from its units
+export async function floorCounters(propertyId, floorId, landlordId) {
+  const counts = await unitCounts({
+    propertyId: new Types.ObjectId(propertyId),
+    floorId: new Types.ObjectId(floorId),
+    landlordId: new Types.ObjectId(landlordId),
+  });
+  return {
+    unitsCount: counts.units,
+    vacant: counts.vacant,
+    occupied: counts.occupied,
+    partiallyOccupied: counts.partiallyOccupied,
+    totalBeds: counts.beds,
+    occupiedBeds: counts.occupiedBeds,
+    vacantBeds: counts.vacantBeds,
+  };
+}
+
+// Counter fields a property should hold, computed from its units
+export async function propertyCounters(propertyId, landlordId) {
+  const counts = await unitCounts({
+    propertyId: new Types.ObjectId(propertyId),
+    landlordId: new Types.ObjectId(landlordId),
+  });
+  return {
+    totalUnits: counts.units,
+    totalVacant: counts.vacant,
+    totalOccupied: counts.occupied,
+    totalPartiallyOccupied: counts.partiallyOccupied,
+    totalBeds: counts.beds,
+    totalOccupiedBeds: counts.occupiedBeds,
+    totalVacantBeds: counts.vacantBeds,
+  };
+}
+
+export async function updateFloorCounts(propertyId, floorId, landlordId) {
+  await Floor.findOneAndUpdate(
+    { _id: floorId, propertyId, landlordId },
+    { $set: await floorCounters(propertyId, floorId, landlordId) }
+  );
+}
+
+export async function updatePropertyUnitCount(propertyId, landlordId) {
+  await Property.findOneAndUpdate(
+    { _id: propertyId, landlordId },
+    { $set: await propertyCounters(propertyId, landlordId) }
+  );
+}
+
+/**
+ * People living in a unit: tenants assigned to it plus tenants of its active leases
+ * (a lease does not always come with tenant.unitId set), leaving out `excludeTenantId`.
+ */
+export async function countOccupants(unit, { excludeTenantId } = {}) {
+  const [tenants, leases] = await Promise.all([
+    Tenant.find({ unitId: unit._id, landlordId: unit.landlordId }).select("_id"),
+    Lease.find({ unitId: unit._id, landlordId: unit.landlordId, status: "active" }).select("tenantId"),
+  ]);
+  const ids = new Set([...tenants.map((t) => String(t._id)), ...leases.map((l) => String(l.tenantId))]);
+  if (excludeTenantId) ids.delete(String(excludeTenantId));
+  return ids.size;
+}
+
+/**
+ * Status a unit should have for its occupant count: any occupant = "occupied";
+ * an empty unit keeps "inactive" if it was inactive.
+ */
+export function expectedUnitStatus(unit, occupants) {
+  if (occupants > 0) return "occupied";
+  return unit.status === "occupied" ? "vacant" : unit.status;
+}
+
+/**
+ * Recount the people living in a unit and set occupiedBeds and status to match.
+ */
+export async function syncUnitOccupancy(unitId, landlordId) {
+  const unit = await Unit.findOne({ _id: unitId, landlordId });
+  if (!unit) return null;
+  const occupants = await countOccupants(unit);
+  unit.occupiedBeds = occupants;
+  unit.status = expectedUnitStatus(unit, occupants);
+  await unit.save();
+  return unit;
+}
+
+/**
+ * Check that `unit` can take one more tenant (and the requested bed, if any).
+ * Returns an error message, or null when the tenant fits.
+ */
+export async function checkBedAvailability(unit, { tenantId, bedNumber } = {}) {
+  const capacity = unit.capacity || 1;
+  // counted the way syncUnitOccupancy counts them, so lease-only occupants take a bed too
+  if (await countOccupants(unit, { excludeTenantId: tenantId }) >= capacity) {
+    return capacity === 1
+      ? "Unit already occupied by another tenant"
+      : `All ${capacity} beds in this unit are occupied`;
+  }
+  if (bedNumber != null) {
+    if (bedNumber > capacity) {
+      return `Bed ${bedNumber} does not exist in this unit (capacity ${capacity})`;
+    }
+    const filter = { unitId: unit._id, landlordId: unit.landlordId, bedNumber };
+    if (tenantId) filter._id = { $ne: tenantId };
+    if (await Tenant.exists(filter)) {
+      return `Bed ${bedNumber} is already taken`;
+    }
+  }
+  return null;
+}
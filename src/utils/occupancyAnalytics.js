@@ -0,0 +1,235 @@
+import Unit from "../models/Unit.js";
+import Tenant from "../models/Tenant.js";
+import { includeArchived } from "./softDelete.js";
+
+// All arithmetic is on whole UTC days; intervals are [start, end) day numbers.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+const rate = (part, whole) => (whole > 0 ? round((part / whole) * 100, 1) : null);
+
+// Bed-days occupied within span: overlapping stays fill beds, up to the unit's capacity
+function occupiedBedDays(stays, span, capacity) {
+  const events = [];
+  for (const { start, end } of stays) {
+    const s = Math.max(start, span[0]);
+    const e = Math.min(end, span[1]);
+    if (e > s) events.push([s, 1], [e, -1]);
+  }
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let total = 0;
+  let beds = 0;
+  let prev = span[0];
+  for (const [day, change] of events) {
+    total += Math.min(beds, capacity) * (day - prev);
+    beds += change;
+    prev = day;
+  }
+  return total;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.filter(([s, e]) => e > s).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [s, e] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+function monthsBetween(fromDay, toDayExclusive) {
+  const months = [];
+  const start = new Date(fromDay * DAY_MS);
+  let y = start.getUTCFullYear();
+  let m = start.getUTCMonth();
+  while (toDay(Date.UTC(y, m, 1)) < toDayExclusive) {
+    const first = toDay(Date.UTC(y, m, 1));
+    const next = toDay(Date.UTC(y, m + 1, 1));
+    months.push({
+      month: `${y}-${String(m + 1).padStart(2, "0")}`,
+      span: [Math.max(first, fromDay), Math.min(next, toDayExclusive)],
+      daysInMonth: next - first,
+    });
+    m++;
+    if (m === 12) { m = 0; y++; }
+  }
+  return months;
+}
+
+/**
+ * A tenant's stays per unit from tenantHistory, read the same way as the unit history
+ * endpoint: an entry starts a stay (the first one at startingDate) that lasts until the next
+ * entry, endingDate or the tenant's deletion. `movedOut` marks stays that ended in a move-out.
+ */
+export function tenantStays(tenant, todayExclusive) {
+  const history = tenant.tenantHistory || [];
+  const stays = [];
+  history.forEach((entry, i) => {
+    if (!entry.unitId) return;
+    const start = i === 0 && tenant.startingDate ? tenant.startingDate : entry.updatedAt;
+    const next = history[i + 1];
+    let end;
+    if (next) {
+      end = next.updatedAt;
+    } else {
+      end = tenant.endingDate || tenant.deletedAt || null;
+      // moved out without a recorded date: the last change to the tenant is the best estimate
+      if (!end && tenant.unitId?.toString() !== entry.unitId.toString()) end = tenant.updatedAt;
+    }
+    stays.push({
+      unitId: entry.unitId.toString(),
+      start: toDay(start),
+      end: end ? toDay(end) : todayExclusive,
+      movedOut: next ? next.unitId?.toString() !== entry.unitId.toString() : !!end,
+    });
+  });
+  // tenants assigned before history was recorded
+  if (!history.length && tenant.unitId) {
+    stays.push({
+      unitId: tenant.unitId.toString(),
+      start: toDay(tenant.startingDate || tenant.createdAt),
+      end: tenant.endingDate ? toDay(tenant.endingDate) : todayExclusive,
+      movedOut: !!tenant.endingDate,
+    });
+  }
+  return stays;
+}
+
+// Monthly rent the whole unit could have earned; a free bed loses its share of it
+function expectedRent(unit, lastRent) {
+  if (unit.askingRent) return unit.askingRent;
+  if (unit.rentPerBed) return unit.rentPerBed * (unit.capacity || 1);
+  return lastRent || 0;
+}
+
+/**
+ * Occupancy over [from, to] for a landlord's units (optionally one property): monthly occupancy
+ * rate, vacant days per unit, average vacancy between tenants, move-out turnover and the rent
+ * lost while units stood empty. A unit counts from its creation (or `from`) until it was deleted.
+ * Day counts are bed-days, so a shared room with one of four beds taken is a quarter occupied
+ * and loses rent on the other three. Inactive units are off the market: only their occupied
+ * days count, with no vacancy or lost rent.
+ */
+export async function occupancyAnalytics({ landlordId, propertyId, from, to }) {
+  const fromDay = toDay(from);
+  const toDayExclusive = toDay(to) + 1;
+  const todayExclusive = Math.min(toDay(new Date()) + 1, toDayExclusive);
+  const range = [fromDay, toDayExclusive];
+
+  const unitFilter = { landlordId };
+  if (propertyId) unitFilter.propertyId = propertyId;
+  const units = await includeArchived(Unit.find(unitFilter).sort({ unitLabel: 1 }));
+  const unitIds = units.map((u) => u._id);
+  // deleted tenants still lived here
+  const tenants = await includeArchived(
+    Tenant.find({ landlordId, $or: [{ "tenantHistory.unitId": { $in: unitIds } }, { unitId: { $in: unitIds } }] })
+      .select("tenantHistory unitId startingDate endingDate createdAt updatedAt deletedAt monthlyRent")
+      .sort({ createdAt: 1 })
+  );
+
+  const staysByUnit = new Map();
+  const lastRentByUnit = new Map();
+  for (const tenant of tenants) {
+    for (const stay of tenantStays(tenant, todayExclusive)) {
+      if (!staysByUnit.has(stay.unitId)) staysByUnit.set(stay.unitId, []);
+      staysByUnit.get(stay.unitId).push(stay);
+      lastRentByUnit.set(stay.unitId, tenant.monthlyRent);
+    }
+  }
+
+  const months = monthsBetween(fromDay, toDayExclusive).map((m) => ({
+    ...m, unitDays: 0, occupiedDays: 0, turnovers: 0, lostRent: 0,
+  }));
+  const unitRows = [];
+
+  for (const unit of units) {
+    const id = unit._id.toString();
+    const life = [
+      Math.max(toDay(unit.createdAt), fromDay),
+      Math.min(unit.deletedAt ? toDay(unit.deletedAt) : todayExclusive, todayExclusive),
+    ];
+    if (life[1] <= life[0]) continue;
+
+    const stays = staysByUnit.get(id) || [];
+    const occupied = mergeIntervals(stays.map((s) => [s.start, s.end]));
+    const capacity = unit.capacity || 1;
+    const onMarket = unit.status !== "inactive";
+    const monthlyRent = expectedRent(unit, lastRentByUnit.get(id));
+    const row = {
+      unitId: unit._id,
+      propertyId: unit.propertyId,
+      unitLabel: unit.unitLabel,
+      capacity,
+      unitDays: 0,
+      occupiedDays: 0,
+      vacantDays: 0,
+      turnovers: 0,
+      lostRent: 0,
+    };
+
+    for (const m of months) {
+      const span = [Math.max(m.span[0], life[0]), Math.min(m.span[1], life[1])];
+      if (span[1] <= span[0]) continue;
+      const occupiedDays = occupiedBedDays(stays, span, capacity);
+      const days = onMarket ? (span[1] - span[0]) * capacity : occupiedDays;
+      const lost = ((days - occupiedDays) * monthlyRent) / capacity / m.daysInMonth;
+      const turnovers = stays.filter((s) => s.movedOut && s.end >= m.span[0] && s.end < m.span[1]).length;
+      m.unitDays += days;
+      m.occupiedDays += occupiedDays;
+      m.turnovers += turnovers;
+      m.lostRent += lost;
+      row.unitDays += days;
+      row.occupiedDays += occupiedDays;
+      row.turnovers += turnovers;
+      row.lostRent += lost;
+    }
+
+    // gaps between one tenant leaving and the next moving in, counted in the month they end
+    row.vacancies = [];
+    for (let i = 1; onMarket && i < occupied.length; i++) {
+      const gapEnd = occupied[i][0];
+      if (gapEnd > range[0] && gapEnd <= range[1]) row.vacancies.push(gapEnd - occupied[i - 1][1]);
+    }
+    row.vacantDays = row.unitDays - row.occupiedDays;
+    unitRows.push(row);
+  }
+
+  const allGaps = unitRows.flatMap((r) => r.vacancies);
+  const sum = (rows, key) => rows.reduce((total, r) => total + r[key], 0);
+  const unitDays = sum(unitRows, "unitDays");
+  const occupiedDays = sum(unitRows, "occupiedDays");
+
+  return {
+    from: new Date(fromDay * DAY_MS),
+    to: new Date((toDayExclusive - 1) * DAY_MS),
+    summary: {
+      units: unitRows.length,
+      unitDays,
+      occupiedDays,
+      vacantDays: unitDays - occupiedDays,
+      occupancyRate: rate(occupiedDays, unitDays),
+      averageVacancyDays: allGaps.length ? round(allGaps.reduce((a, b) => a + b, 0) / allGaps.length, 1) : null,
+      turnovers: sum(unitRows, "turnovers"),
+      lostRent: round(sum(unitRows, "lostRent")),
+    },
+    monthly: months.map(({ month, unitDays: d, occupiedDays: o, turnovers, lostRent }) => ({
+      month,
+      unitDays: d,
+      occupiedDays: o,
+      vacantDays: d - o,
+      occupancyRate: rate(o, d),
+      turnovers,
+      lostRent: round(lostRent),
+    })),
+    units: unitRows.map(({ vacancies, ...r }) => ({
+      ...r,
+      occupancyRate: rate(r.occupiedDays, r.unitDays),
+      vacancies: vacancies.length,
+      averageVacancyDays: vacancies.length ? round(vacancies.reduce((a, b) => a + b, 0) / vacancies.length, 1) : null,
+      lostRent: round(r.lostRent),
+    })),
+  };
+}
@@ -0,0 +1,71 @@
+import Property from "../models/Property.js";
+import Floor from "../models/Floor.js";
+import Unit from "../models/Unit.js";
+import {
+  countOccupants,
+  expectedUnitStatus,
+  floorCounters,
+  propertyCounters,
+} from "./occupancy.js";
+
+function compare(drift, ref, stored, expected) {
+  const fields = [];
+  for (const [field, value] of Object.entries(expected)) {
+    if ((stored[field] ?? null) !== value) {
+      drift.push({ ...ref, field, stored: stored[field] ?? null, expected: value });
+      fields.push(field);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Check unit statuses against their occupants, and floor and property counters against their
+ * units. With `repair`, units are fixed first so the counters are recomputed from corrected units;
+ * without it, counters are compared with the units as stored.
+ * Returns { checked: { properties, floors, units }, drift: [{ entity, id, field, stored, expected }], repaired }.
+ */
+export async function reconcileCounters({ landlordId, propertyId, repair = false } = {}) {
+  const filter = {};
+  if (landlordId) filter.landlordId = landlordId;
+  if (propertyId) filter._id = propertyId;
+
+  const checked = { properties: 0, floors: 0, units: 0 };
+  const drift = [];
+  const properties = await Property.find(filter).sort({ createdAt: 1 });
+
+  for (const property of properties) {
+    const scope = { propertyId: property._id, landlordId: property.landlordId };
+    checked.properties++;
+
+    const units = await Unit.find(scope);
+    for (const unit of units) {
+      checked.units++;
+      const occupants = await countOccupants(unit);
+      const expected = { status: expectedUnitStatus(unit, occupants), occupiedBeds: occupants };
+      const ref = { entity: "unit", id: unit._id, propertyId: property._id, label: unit.unitLabel };
+      if (compare(drift, ref, unit, expected).length && repair) {
+        Object.assign(unit, expected);
+        await unit.save();
+      }
+    }
+
+    const floors = await Floor.find(scope).sort({ floorNumber: 1 });
+    for (const floor of floors) {
+      checked.floors++;
+      const expected = await floorCounters(property._id, floor._id, property.landlordId);
+      const ref = { entity: "floor", id: floor._id, propertyId: property._id, label: floor.name };
+      if (compare(drift, ref, floor, expected).length && repair) {
+        await Floor.updateOne({ _id: floor._id }, { $set: expected });
+      }
+    }
+
+    const expected = { floors: floors.length, ...(await propertyCounters(property._id, property.landlordId)) };
+    const ref = { entity: "property", id: property._id, propertyId: property._id, label: property.name };
+    if (compare(drift, ref, property, expected).length && repair) {
+      await Property.updateOne({ _id: property._id }, { $set: expected });
+    }
+  }
+
+  return { checked, drift, repaired: repair && drift.length > 0 };
+}
@@ -0,0 +1,13 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Per-request state (IP, route, signed-in actor, logger) readable from code that never sees `req`,
+// such as model middleware.
+const storage = new AsyncLocalStorage();
+
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
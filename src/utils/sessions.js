@@ -0,0 +1,131 @@
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { randomToken, hashToken, tokenMatchesHash } from "./tokens.js";
+
+// read lazily: server.js loads .env after this module has been imported
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function refreshExpiry() {
+  return new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+}
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!/^[0-9a-fA-F]{24}$/.test(sessionId || "") || !secret) return null;
+  return { sessionId, secret };
+}
+
+function signAccessToken(app, user, session) {
+  return app.jwt.sign(
+    { sub: user._id.toString(), email: user.email, sid: session._id.toString() },
+    { expiresIn: accessTokenTtl() }
+  );
+}
+
+function tokenResponse(app, user, session, secret) {
+  return {
+    token: signAccessToken(app, user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: accessTokenTtl(),
+  };
+}
+
+// Start a new login session for the user and return access + refresh tokens
+export async function createSession(app, user, req) {
+  const secret = randomToken(48);
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  return tokenResponse(app, user, session, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token.
+ * Presenting an already-rotated token revokes the session, since it may have leaked.
+ * Returns null when the token cannot be used.
+ */
+export async function rotateSession(app, refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  if (!tokenMatchesHash(parsed.secret, session.refreshTokenHash)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "refresh_token_reuse";
+    await session.save();
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) return null;
+
+  // Conditional on the old hash so two concurrent refreshes cannot both succeed
+  const secret = randomToken(48);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        userAgent: req.headers["user-agent"] || session.userAgent,
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return tokenResponse(app, user, rotated, secret);
+}
+
+// Look up the session a refresh token belongs to, if the token is still valid
+export async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await Session.findOne({ _id: parsed.sessionId, revokedAt: null });
+  if (!session || !tokenMatchesHash(parsed.secret, session.refreshTokenHash)) return null;
+  return session;
+}
+
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select("_id");
+  return !!session;
+}
+
+export async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip createdAt lastUsedAt expiresAt");
+}
+
+export async function revokeSession(userId, sessionId, reason = "logout") {
+  const res = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return res.modifiedCount > 0;
+}
+
+// Revoke every active session of the user, optionally keeping one (e.g. the caller's)
+export async function revokeAllSessions(userId, { except, reason = "revoked" } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const res = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return res.modifiedCount;
+}
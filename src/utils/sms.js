@@ -0,0 +1,36 @@
+// Pluggable SMS delivery. Pick a sender with SMS_PROVIDER (default "console").
+const senders = {
+  // Local development stub: prints the message instead of sending it
+  console: async ({ to, body }) => {
+    console.info(`[sms] to ${to}: ${body}`);
+  },
+
+  twilio: async ({ to, body }) => {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM;
+    if (!sid || !token || !from) throw new Error("Twilio is not configured");
+
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      // tenant phones are stored as plain digits; Twilio expects E.164
+      body: new URLSearchParams({ To: `+${process.env.SMS_COUNTRY_CODE || ""}${to}`, From: from, Body: body }),
+    });
+    if (!res.ok) throw new Error(`Twilio responded with ${res.status}`);
+  },
+};
+
+export function registerSmsSender(name, sender) {
+  senders[name] = sender;
+}
+
+export async function sendSms({ to, body }) {
+  const provider = process.env.SMS_PROVIDER || "console";
+  const sender = senders[provider];
+  if (!sender) throw new Error(`Unknown SMS provider '${provider}'`);
+  await sender({ to, body });
+}
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const { Types } = mongoose;
+
+const QUERY_OPS = [
+  "find", "findOne", "countDocuments", "distinct",
+  "updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+  "deleteOne", "deleteMany", "findOneAndDelete",
+];
+
+function mentionsArchive(filter) {
+  return filter && ("archived" in filter || "deletedAt" in filter);
+}
+
+/**
+ * Make a query see archived documents too (export, audit bookkeeping, purge).
+ * Works on any model's query; the flag stays in mongoose and is never sent to MongoDB.
+ */
+export function includeArchived(query) {
+  query._mongooseOptions.withDeleted = true;
+  return query;
+}
+
+/**
+ * Mongoose plugin for soft deletion: adds archived/deletedAt/deletedBy/archivedWith and hides
+ * archived documents from every query and aggregate unless the filter (or the first $match)
+ * names `archived` or `deletedAt`, or the query is marked with .withDeleted().
+ * Apply it before auditPlugin so audit snapshots use the same filter.
+ */
+export function softDeletePlugin(schema) {
+  schema.add({
+    archived: { type: Boolean, default: false, index: true },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: Types.ObjectId, ref: "users", default: null },
+    // parent whose deletion archived this document (e.g. the property for its floors and units)
+    archivedWith: { type: Types.ObjectId, default: null },
+  });
+
+  schema.query.withDeleted = function () {
+    return includeArchived(this);
+  };
+
+  schema.pre(QUERY_OPS, { document: false, query: true }, function () {
+    if (this._mongooseOptions.withDeleted || mentionsArchive(this.getFilter())) return;
+    this.where({ archived: { $ne: true } });
+  });
+
+  schema.pre("aggregate", function () {
+    const [first] = this.pipeline();
+    if (first?.$match && mentionsArchive(first.$match)) return;
+    this.pipeline().unshift({ $match: { archived: { $ne: true } } });
+  });
+}
+
+export function archiveFields(req, archivedWith = null) {
+  return { archived: true, deletedAt: new Date(), deletedBy: req.user.uid, archivedWith };
+}
+
+export const RESTORE_FIELDS = { archived: false, deletedAt: null, deletedBy: null, archivedWith: null };
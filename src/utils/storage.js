@@ -0,0 +1,66 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+
+// Pluggable file storage for uploaded documents. Pick a backend with STORAGE_BACKEND (default
+// "local"). A backend stores opaque keys: put(key, buffer, { contentType }), get(key) -> readable
+// stream or null when missing, remove(key).
+
+function storageDir() {
+  return path.resolve(process.env.STORAGE_DIR || "uploads");
+}
+
+// keys are generated server-side, but never let one point outside the storage directory
+function localPath(key) {
+  const root = storageDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key '${key}'`);
+  return file;
+}
+
+const backends = {
+  // Files on this server's disk under STORAGE_DIR (default ./uploads)
+  local: {
+    async put(key, buffer) {
+      const file = localPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = localPath(key);
+      try {
+        await fs.access(file);
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      return createReadStream(file);
+    },
+    async remove(key) {
+      await fs.rm(localPath(key), { force: true });
+    },
+  },
+};
+
+export function registerStorageBackend(name, backend) {
+  backends[name] = backend;
+}
+
+function backend() {
+  const name = process.env.STORAGE_BACKEND || "local";
+  const selected = backends[name];
+  if (!selected) throw new Error(`Unknown storage backend '${name}'`);
+  return selected;
+}
+
+export async function putFile(key, buffer, { contentType } = {}) {
+  await backend().put(key, buffer, { contentType });
+}
+
+export async function getFile(key) {
+  return backend().get(key);
+}
+
+export async function removeFile(key) {
+  await backend().remove(key);
+}
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Tenant from "../models/Tenant.js";
+import User from "../models/User.js";
+import { includeArchived } from "./softDelete.js";
+import { getFile, putFile, removeFile } from "./storage.js";
+
+const { Types } = mongoose;
+
+// Accepted uploads; the file's leading bytes must match the declared type
+const SIGNATURES = {
+  "application/pdf": (b) => b.subarray(0, 5).toString("latin1") === "%PDF-",
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/webp": (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+};
+
+export const DOCUMENT_CONTENT_TYPES = Object.keys(SIGNATURES);
+
+export function maxDocumentBytes() {
+  const mb = Number(process.env.MAX_DOCUMENT_SIZE_MB);
+  return (Number.isFinite(mb) && mb > 0 ? mb : 10) * 1024 * 1024;
+}
+
+// Documents a tenant may hold: the landlord's own setting, else TENANT_DOCUMENT_LIMIT (default 5)
+export async function documentLimitFor(landlordId) {
+  const landlord = await User.findById(landlordId).select("tenantDocumentLimit");
+  if (landlord?.tenantDocumentLimit) return landlord.tenantDocumentLimit;
+  const limit = Number(process.env.TENANT_DOCUMENT_LIMIT);
+  return Number.isInteger(limit) && limit > 0 ? limit : 5;
+}
+
+/**
+ * Check an upload's declared content type against what is allowed and against its bytes.
+ * Returns an error message, or null when the file is acceptable.
+ */
+export function checkUpload({ contentType, buffer }) {
+  if (!buffer.length) return "File is empty";
+  const matches = SIGNATURES[contentType];
+  if (!matches) return `Unsupported file type '${contentType}'; allowed: ${DOCUMENT_CONTENT_TYPES.join(", ")}`;
+  if (!matches(buffer)) return `File content does not match its type '${contentType}'`;
+  return null;
+}
+
+/**
+ * Write an uploaded file to storage and return the tenant document entry describing it.
+ */
+export async function storeDocument(tenant, { buffer, contentType, fileName, type, uploadedBy }) {
+  const _id = new Types.ObjectId();
+  const storageKey = `tenants/${tenant.landlordId}/${tenant._id}/${_id}`;
+  await putFile(storageKey, buffer, { contentType });
+  return {
+    _id,
+    type,
+    fileName,
+    contentType,
+    size: buffer.length,
+    checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+    storageKey,
+    uploadedBy,
+    uploadedAt: new Date(),
+  };
+}
+
+/**
+ * Reply with one of a tenant's documents: the stored file as an attachment (ETag is its sha256).
+ * A document that was never uploaded only has a client-supplied link, which is returned as JSON
+ * rather than redirected to, so the endpoint cannot be used to bounce users to arbitrary sites.
+ */
+export async function sendDocument(reply, tenant, documentId) {
+  const doc = mongoose.isValidObjectId(documentId) ? tenant.documents.id(documentId) : null;
+  if (!doc) return reply.code(404).send({ success: false, message: "Document not found" });
+  if (!doc.storageKey) {
+    if (!doc.fileUrl) return reply.code(404).send({ success: false, message: "Document has no file" });
+    return reply.send({ success: true, document: { id: doc._id, fileName: doc.fileName, fileUrl: doc.fileUrl } });
+  }
+  const stream = await getFile(doc.storageKey);
+  if (!stream) return reply.code(404).send({ success: false, message: "Document file is missing from storage" });
+
+  const fileName = doc.fileName || "document";
+  const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  reply
+    .header("Content-Type", doc.contentType || "application/octet-stream")
+    .header("Content-Disposition", `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`)
+    .header("X-Content-Type-Options", "nosniff");
+  if (doc.size != null) reply.header("Content-Length", doc.size);
+  if (doc.checksum) reply.header("ETag", `"${doc.checksum}"`);
+  return reply.send(stream);
+}
+
+// Delete the stored files behind these tenants' documents (link-only documents have none)
+export async function removeDocumentFiles(tenants) {
+  for (const tenant of tenants) {
+    for (const doc of tenant.documents || []) {
+      if (doc.storageKey) await removeFile(doc.storageKey);
+    }
+  }
+}
+
+/**
+ * Documents saved before they had ids get a fresh one each time they are loaded; persist one so
+ * they can be downloaded and deleted by id. Returns the number of tenants updated.
+ */
+export async function backfillDocumentIds() {
+  const tenants = await includeArchived(Tenant.find({ documents: { $elemMatch: { _id: { $exists: false } } } }));
+  for (const tenant of tenants) {
+    tenant.markModified("documents");
+    await tenant.save();
+  }
+  return tenants.length;
+}
@@ -0,0 +1,274 @@
+import { computePenalty } from "./penalty.js";
+
+// Function to get applicable rent for a specific month
+export function getRentForMonth(year, month, rentChanges, defaultRent) {
+  if (!rentChanges || rentChanges.length === 0) {
+    return defaultRent || 0;
+  }
+  const monthStart = new Date(year, month, 1);
+  const monthEnd   = new Date(year, month + 1, 0);
+  let applicableRent = defaultRent !== undefined ? defaultRent : rentChanges[0].amount;
+  for (const change of rentChanges) {
+    const effective = new Date(change.effectiveFrom);
+    if (effective <= monthEnd) {
+      applicableRent = change.amount;
+    } else {
+      break;
+    }
+  }
+  return applicableRent;
+}
+
+// Latest due date (the policy's dueDay of a month) on or before `date`
+function lastDueDate(date, dueDay) {
+  const due = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), dueDay));
+  if (due > date) due.setUTCMonth(due.getUTCMonth() - 1);
+  return due;
+}
+
+/**
+ * Function to calculate tenant status, due, and overpaid amounts.
+ * With the tenant's resolved billing policy (utils/billingPolicy.js) an outstanding balance is
+ * dated from the last due day, and `overdue` / `penalty` apply its grace period and penalty.
+ */
+export function calculateTenantStatusAndDue(tenant, currentDate = new Date(), policy = null) {
+  if (!tenant.unitId && !tenant.startingDate) {
+    return {
+      status: "Unassigned",
+      due: 0,
+      overpaid: 0,
+      dueAmountDate: null,
+      totalPaid: 0,
+      totalExpectedRent: 0,
+      totalElectricityCost: 0,
+      rentDue: 0,
+      electricityDue: 0,
+      rentOverpaid: 0,
+      electricityOverpaid: 0,
+      totalRentPaid: 0,
+      totalElectricityPaid: 0,
+      totalExtraCharges: 0,
+      totalExtraChargesPaid: 0,
+      extraChargesDue: 0,
+      overdue: false,
+      penalty: 0,
+    };
+  }
+
+  if (!tenant.startingDate) {
+    return {
+      status: "Due",
+      due: 0,
+      overpaid: 0,
+      dueAmountDate: null,
+      totalPaid: 0,
+      totalExpectedRent: 0,
+      totalElectricityCost: 0,
+      rentDue: 0,
+      electricityDue: 0,
+      rentOverpaid: 0,
+      electricityOverpaid: 0,
+      totalRentPaid: 0,
+      totalElectricityPaid: 0,
+      totalExtraCharges: 0,
+      totalExtraChargesPaid: 0,
+      extraChargesDue: 0,
+      overdue: false,
+      penalty: 0,
+    };
+  }
+
+  const start = new Date(tenant.startingDate);
+  let actualEndDate = tenant.endingDate ? new Date(tenant.endingDate) : null;
+
+  if (
+    !actualEndDate &&
+    tenant.tenantHistory &&
+    tenant.tenantHistory.length > 0
+  ) {
+    let lastAssignmentIndex = -1;
+    for (let i = tenant.tenantHistory.length - 1; i >= 0; i--) {
+      if (
+        tenant.tenantHistory[i].propertyId ||
+        tenant.tenantHistory[i].unitId
+      ) {
+        lastAssignmentIndex = i;
+        break;
+      }
+    }
+
+    if (
+      lastAssignmentIndex !== -1 &&
+      lastAssignmentIndex < tenant.tenantHistory.length - 1
+    ) {
+      const unassignmentEntry = tenant.tenantHistory[lastAssignmentIndex + 1];
+      if (!unassignmentEntry.propertyId && !unassignmentEntry.unitId) {
+        actualEndDate = new Date(unassignmentEntry.updatedAt);
+      }
+    }
+  }
+
+  const effectiveEnd = actualEndDate || currentDate;
+
+  // Calculate rent based on days elapsed
+  let totalExpectedRent = 0;
+  const rentChanges = (tenant.rentChanges || []).sort(
+    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
+  );
+
+  let current = new Date(start.getFullYear(), start.getMonth(), 1);
+
+  while (current <= effectiveEnd && current <= currentDate) {
+    const monthRent = getRentForMonth(
+      current.getFullYear(),
+      current.getMonth(),
+      rentChanges,
+      tenant.monthlyRent
+    );
+
+    const monthStart = new Date(current);
+    const monthEnd = new Date(current.getFullYear(), current.getMonth() + 1, 0);
+
+    const actualStart = monthStart < start ? start : monthStart;
+    const actualEnd = monthEnd > effectiveEnd ? effectiveEnd : monthEnd;
+    const finalEnd = actualEnd > currentDate ? currentDate : actualEnd;
+
+    const daysInMonth = monthEnd.getDate();
+    const startDay = actualStart.getDate();
+    const endDay = finalEnd.getDate();
+
+    let daysOccupied;
+    if (
+      actualStart.getMonth() === finalEnd.getMonth() &&
+      actualStart.getFullYear() === finalEnd.getFullYear()
+    ) {
+      daysOccupied = endDay - startDay + 1;
+    } else {
+      if (
+        current.getMonth() === start.getMonth() &&
+        current.getFullYear() === start.getFullYear()
+      ) {
+        daysOccupied = daysInMonth - startDay + 1;
+      } else if (
+        current.getMonth() === finalEnd.getMonth() &&
+        current.getFullYear() === finalEnd.getFullYear()
+      ) {
+        daysOccupied = endDay;
+      } else {
+        daysOccupied = daysInMonth;
+      }
+    }
+
+    let rentForThisPeriod = 0;
+
+    if (daysOccupied >= daysInMonth) {
+      rentForThisPeriod = monthRent;
+    } else if (daysOccupied >= 16) {
+      rentForThisPeriod = monthRent;
+    } else if (daysOccupied >= 1) {
+      rentForThisPeriod = monthRent / 2;
+    }
+
+    totalExpectedRent += rentForThisPeriod;
+    current.setMonth(current.getMonth() + 1);
+  }
+
+  // Calculate electricity cost
+  let totalElectricityCost = 0;
+  if (
+    tenant.electricityPerUnit != null &&
+    tenant.startingUnit != null &&
+    tenant.currentUnit != null &&
+    tenant.currentUnit >= tenant.startingUnit
+  ) {
+    totalElectricityCost =
+      (tenant.currentUnit - tenant.startingUnit) * tenant.electricityPerUnit;
+  }
+
+  // Calculate paid amounts separately for rent and electricity
+  const rentHistory = tenant.rentHistory || [];
+  const totalRentPaid = rentHistory
+    .filter((rh) => rh.rentType === "flat_rent" || !rh.rentType)
+    .reduce((sum, rh) => sum + (rh.amount || 0), 0);
+
+  const totalElectricityPaid = rentHistory
+    .filter((rh) => rh.rentType === "electricity")
+    .reduce((sum, rh) => sum + (rh.amount || 0), 0);
+
+  const totalExtraCharges = (tenant.extraCharges || []).reduce((sum, c) => sum + (c.amount || 0), 0);
+  const totalExtraChargesPaid = rentHistory
+    .filter((rh) => rh.rentType === "extra_charge")
+    .reduce((sum, rh) => sum + (rh.amount || 0), 0);
+
+  const totalPaid = totalRentPaid + totalElectricityPaid + totalExtraChargesPaid;
+
+  // Calculate separate dues
+  const rentBalance = totalExpectedRent - totalRentPaid;
+  const electricityBalance = totalElectricityCost - totalElectricityPaid;
+
+  const rentDue = rentBalance > 0 ? rentBalance : 0;
+  const rentOverpaid = rentBalance < 0 ? Math.abs(rentBalance) : 0;
+
+  const electricityDue = electricityBalance > 0 ? electricityBalance : 0;
+  const electricityOverpaid =
+    electricityBalance < 0 ? Math.abs(electricityBalance) : 0;
+
+  const extraChargesDue = Math.max(0, totalExtraCharges - totalExtraChargesPaid);
+
+  const totalExpected = totalExpectedRent + totalElectricityCost + totalExtraCharges;
+  const tenantBalance = totalExpected - totalPaid;
+  const due = tenantBalance > 0 ? tenantBalance : 0;
+  const overpaid = tenantBalance < 0 ? Math.abs(tenantBalance) : 0;
+
+  // Status
+  let status;
+  if (!tenant.unitId && tenant.startingDate) {
+    status = "Unassigned";
+  } else if (tenant.endingDate || actualEndDate) {
+    status = "Inactive";
+  } else {
+    status = due > 0 ? "Due" : "Active";
+  }
+
+  let dueAmountDate = null;
+  let overdue = false;
+  let penalty = 0;
+  if (due > 0 && policy) {
+    const dueDate = lastDueDate(currentDate, policy.dueDay);
+    dueAmountDate = dueDate.toISOString();
+    penalty = computePenalty({
+      amount: due,
+      dueDate,
+      graceDays: policy.graceDays,
+      mode: policy.penaltyMode,
+      rate: policy.penaltyRate,
+      asOf: currentDate,
+    });
+    const graceEnd = new Date(dueDate);
+    graceEnd.setUTCDate(graceEnd.getUTCDate() + policy.graceDays);
+    overdue = currentDate > graceEnd;
+  } else if (due > 0) {
+    dueAmountDate = currentDate.toISOString();
+  }
+
+  return {
+    status,
+    due,
+    overpaid,
+    dueAmountDate,
+    totalPaid,
+    totalExpectedRent,
+    totalElectricityCost,
+    rentDue,
+    electricityDue,
+    rentOverpaid,
+    electricityOverpaid,
+    totalRentPaid,
+    totalElectricityPaid,
+    totalExtraCharges,
+    totalExtraChargesPaid,
+    extraChargesDue,
+    overdue,
+    penalty,
+  };
+}
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import Tenant from "../models/Tenant.js";
+import Property from "../models/Property.js";
+import Unit from "../models/Unit.js";
+import Lease from "../models/Lease.js";
+import {
+  updateFloorCounts,
+  updatePropertyUnitCount,
+  syncUnitOccupancy,
+  checkBedAvailability,
+} from "./occupancy.js";
+
+const refuse = (code, message) => ({ code, message });
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+// A standalone mongod rejects transactions with IllegalOperation (code 20)
+const transactionsUnsupported = (err) =>
+  err.code === 20 && /replica set member or mongos/.test(err.message);
+
+/**
+ * Move a tenant to another unit as of `effectiveDate`, optionally with a new rent (recorded in
+ * rentChanges from that date) and the electricity meter readings of both units. The tenant,
+ * both units and their floor/property counters are written in one transaction, so a failure
+ * part-way leaves nothing half-moved (needs a replica set, as MongoDB transactions do).
+ * Returns { tenant }, or { code, message } when the transfer is refused (503 when the database
+ * cannot run transactions).
+ */
+export async function transferTenant(options) {
+  try {
+    return await runTransfer(options);
+  } catch (err) {
+    if (transactionsUnsupported(err)) {
+      return refuse(503, "Tenant transfers need MongoDB transactions; run the database as a replica set");
+    }
+    throw err;
+  }
+}
+
+function runTransfer({
+  tenantId,
+  landlordId,
+  propertyId,
+  unitId,
+  bedNumber,
+  effectiveDate,
+  monthlyRent,
+  meterReadings,
+}) {
+  // queries inside the callback (including the occupancy helpers) join the transaction
+  return mongoose.connection.transaction(async () => {
+    const tenant = await Tenant.findOne({ _id: tenantId, landlordId });
+    if (!tenant) return refuse(404, "Tenant not found");
+    if (!tenant.unitId) {
+      return refuse(400, "Tenant is not in a unit; assign one with PUT /tenants/:id instead");
+    }
+    if (await Lease.exists({ tenantId: tenant._id, unitId: tenant.unitId, landlordId, status: "active" })) {
+      return refuse(409, "Tenant has an active lease on their current unit; end it before transferring");
+    }
+
+    const targetPropertyId = propertyId || tenant.propertyId?.toString();
+    const property = targetPropertyId && await Property.findOne({ _id: targetPropertyId, landlordId });
+    if (!property) return refuse(404, "Property not found");
+    const toUnit = await Unit.findOne({ _id: unitId, propertyId: targetPropertyId, landlordId });
+    if (!toUnit) return refuse(400, `Unit ${unitId} not found in property '${property.name}'`);
+    if (toUnit._id.equals(tenant.unitId)) return refuse(400, "Tenant already lives in this unit");
+    const unavailable = await checkBedAvailability(toUnit, { tenantId: tenant._id, bedNumber });
+    if (unavailable) return refuse(400, unavailable);
+
+    const fromPropertyId = tenant.propertyId?.toString();
+    if (targetPropertyId !== fromPropertyId) {
+      // phone and email are unique per property
+      const contacts = [{ phone: tenant.phone }];
+      if (tenant.email) contacts.push({ email: tenant.email });
+      const clash = await Tenant.findOne({ landlordId, propertyId: targetPropertyId, _id: { $ne: tenant._id }, $or: contacts });
+      if (clash) {
+        return refuse(400, `Another tenant in '${property.name}' already uses this tenant's phone number or email`);
+      }
+    }
+
+    const lastMove = tenant.tenantHistory.at(-1)?.updatedAt || tenant.startingDate;
+    if (lastMove && effectiveDate < new Date(lastMove)) {
+      return refuse(400, `Effective date cannot be before the tenant's last move-in (${day(lastMove)})`);
+    }
+    if (effectiveDate > new Date()) {
+      return refuse(400, "Effective date cannot be in the future");
+    }
+
+    if (monthlyRent !== undefined) {
+      const clash = tenant.rentChanges.some((rc) => day(rc.effectiveFrom) === day(effectiveDate));
+      if (clash) return refuse(400, "A rent change already exists for this effective date");
+      // keep the rent charged before the transfer for the months leading up to it
+      const rentSince = tenant.startingDate || tenant.createdAt;
+      if (!tenant.rentChanges.length && tenant.monthlyRent && day(rentSince) !== day(effectiveDate)) {
+        tenant.rentChanges.push({ amount: tenant.monthlyRent, effectiveFrom: rentSince });
+      }
+      tenant.rentChanges.push({ amount: monthlyRent, effectiveFrom: effectiveDate });
+      tenant.monthlyRent = monthlyRent;
+    }
+
+    if (meterReadings) {
+      const lastRecorded = tenant.currentUnit ?? tenant.startingUnit ?? 0;
+      if (meterReadings.oldUnitClosing < lastRecorded) {
+        return refuse(400, `Closing reading (${meterReadings.oldUnitClosing}) cannot be less than last recorded unit (${lastRecorded})`);
+      }
+      // Electricity due is (currentUnit - startingUnit) * rate everywhere, so carry the units
+      // used on the old meter over by shifting startingUnit against the new meter
+      const consumed = meterReadings.oldUnitClosing - (tenant.startingUnit ?? 0);
+      tenant.startingUnit = meterReadings.newUnitOpening - consumed;
+      tenant.currentUnit = meterReadings.newUnitOpening;
+    }
+
+    const fromUnit = await Unit.findOne({ _id: tenant.unitId, landlordId });
+    // tenants assigned before history was recorded: keep their stay in the old unit
+    if (!tenant.tenantHistory.length) {
+      tenant.tenantHistory.push({
+        propertyId: tenant.propertyId,
+        unitId: tenant.unitId,
+        updatedAt: tenant.startingDate || tenant.createdAt,
+      });
+    }
+    tenant.tenantHistory.push({
+      propertyId: property._id,
+      unitId: toUnit._id,
+      updatedAt: effectiveDate,
+      ...(meterReadings && { meterReadings }),
+    });
+    tenant.propertyId = property._id;
+    tenant.unitId = toUnit._id;
+    tenant.bedNumber = bedNumber ?? null;
+    await tenant.save();
+
+    await syncUnitOccupancy(toUnit._id, landlordId);
+    await updateFloorCounts(targetPropertyId, toUnit.floorId, landlordId);
+    if (fromUnit) {
+      await syncUnitOccupancy(fromUnit._id, landlordId);
+      await updateFloorCounts(fromUnit.propertyId, fromUnit.floorId, landlordId);
+    }
+    await updatePropertyUnitCount(targetPropertyId, landlordId);
+    if (fromPropertyId && fromPropertyId !== targetPropertyId) {
+      await updatePropertyUnitCount(fromPropertyId, landlordId);
+    }
+    return { tenant };
+  });
+}
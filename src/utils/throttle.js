@@ -0,0 +1,78 @@
+import AuthThrottle from "../models/AuthThrottle.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Start a fresh window once the current one is over; the filter makes only one caller reset it
+async function resetExpiredWindow(key, windowMs, now) {
+  await AuthThrottle.updateOne(
+    { key, windowStartedAt: { $lte: new Date(now.getTime() - windowMs) } },
+    { $set: { count: 0, windowStartedAt: now } }
+  );
+}
+
+// Atomically count one hit against `key`, creating the counter on first use
+async function incrementCounter(key, now, keepUntil) {
+  return AuthThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { windowStartedAt: now }, $max: { expiresAt: keepUntil } },
+    { upsert: true, new: true }
+  );
+}
+
+// Milliseconds until every one of the keys is unlocked (0 when none is locked)
+export async function lockRemaining(keys) {
+  const locked = await AuthThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } });
+  return locked.reduce((max, doc) => Math.max(max, doc.lockedUntil.getTime() - Date.now()), 0);
+}
+
+/**
+ * Count a failed attempt against `key`. Reaching `maxFailures` within `windowMs` locks the
+ * key; every further lockout doubles the lock time (baseLockMs, 2x, 4x ...) up to maxLockMs.
+ */
+export async function recordFailure(key, {
+  maxFailures = 5,
+  windowMs = 15 * MINUTE,
+  baseLockMs = MINUTE,
+  maxLockMs = 60 * MINUTE,
+} = {}) {
+  const now = new Date();
+  await resetExpiredWindow(key, windowMs, now);
+  // lockout history is kept for a day so repeat offenders keep escalating
+  const doc = await incrementCounter(key, now, new Date(now.getTime() + DAY));
+  if (doc.count < maxFailures) return;
+
+  // only one of several concurrent failures crossing the threshold takes the lock
+  const lockedUntil = new Date(now.getTime() + Math.min(baseLockMs * 2 ** doc.lockouts, maxLockMs));
+  await AuthThrottle.updateOne(
+    { key, count: { $gte: maxFailures }, lockouts: doc.lockouts },
+    {
+      $set: { lockedUntil, count: 0, windowStartedAt: now },
+      $inc: { lockouts: 1 },
+      $max: { expiresAt: lockedUntil },
+    }
+  );
+}
+
+export async function clearFailures(key) {
+  await AuthThrottle.deleteOne({ key });
+}
+
+/**
+ * Fixed-window rate limit: allows `limit` hits per `windowMs`.
+ * Returns 0 when the hit is allowed, otherwise the milliseconds until the window resets.
+ */
+export async function consumeRateLimit(key, { limit, windowMs }) {
+  const now = new Date();
+  await resetExpiredWindow(key, windowMs, now);
+  const doc = await incrementCounter(key, now, new Date(now.getTime() + windowMs));
+  if (doc.count > limit) {
+    return doc.windowStartedAt.getTime() + windowMs - now.getTime();
+  }
+  return 0;
+}
+
+export function retryMessage(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / MINUTE));
+  return `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+}
@@ -0,0 +1,18 @@
+import crypto from "crypto";
+
+// Opaque random token suitable for links, invites and refresh tokens
+export function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+// Tokens are stored as SHA-256 hashes so a database leak does not expose them
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function tokenMatchesHash(token, hash) {
+  if (!hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashToken(token), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,85 @@
+import Property from "../models/Property.js";
+import Floor from "../models/Floor.js";
+import Unit from "../models/Unit.js";
+import Tenant from "../models/Tenant.js";
+import { removeDocumentFiles } from "./tenantDocuments.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days an archived record stays restorable before purgeExpiredTrash removes it
+export function trashRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+export function purgeDate(deletedAt) {
+  return deletedAt ? new Date(deletedAt.getTime() + trashRetentionDays() * DAY_MS) : null;
+}
+
+/**
+ * Permanently delete properties (with their floors and units), units and tenants (with their
+ * uploaded documents) that have been archived for longer than the retention period. Tenants,
+ * live or trashed, still pointing at a purged property are unassigned from it.
+ * Returns counts per collection.
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - trashRetentionDays() * DAY_MS);
+  const expired = { archived: true, deletedAt: { $lt: cutoff } };
+
+  let unassignedTenants = 0;
+  const properties = await Property.find(expired).select("_id landlordId");
+  for (const p of properties) {
+    await Floor.deleteMany({ propertyId: p._id, landlordId: p.landlordId }).withDeleted();
+    await Unit.deleteMany({ propertyId: p._id, landlordId: p.landlordId }).withDeleted();
+    const { modifiedCount } = await Tenant.updateMany(
+      { propertyId: p._id, landlordId: p.landlordId },
+      {
+        $set: { propertyId: null, unitId: null, bedNumber: null },
+        $push: { tenantHistory: { propertyId: null, unitId: null, updatedAt: now } },
+      }
+    ).withDeleted();
+    unassignedTenants += modifiedCount;
+  }
+  await removeDocumentFiles(await Tenant.find(expired).select("documents"));
+  return {
+    properties: (await Property.deleteMany(expired)).deletedCount,
+    units: (await Unit.deleteMany(expired)).deletedCount,
+    tenants: (await Tenant.deleteMany(expired)).deletedCount,
+    unassignedTenants,
+  };
+}
+
+/**
+ * Unit labels used to be unique across trashed units too. Give units saved before soft delete
+ * an explicit archived: false (the new partial index only covers those) and drop the old index.
+ * Returns whether the old index was dropped.
+ */
+export async function migrateUnitLabelIndex() {
+  await Unit.collection.updateMany({ archived: { $exists: false } }, { $set: { archived: false } });
+  let indexes;
+  try {
+    indexes = await Unit.collection.indexes();
+  } catch (err) {
+    if (err.codeName === "NamespaceNotFound") return false;
+    throw err;
+  }
+  const legacy = indexes.find((i) => i.unique && i.key.unitLabel === 1 && !i.partialFilterExpression);
+  if (!legacy) return false;
+  await Unit.collection.dropIndex(legacy.name);
+  return true;
+}
+
+/**
+ * One page of a model's archived documents, newest deletion first, each with its purgeAt date.
+ */
+export async function listTrash(model, filter, { page, limit }) {
+  const query = { ...filter, archived: true };
+  const [docs, total] = await Promise.all([
+    model.find(query).sort({ deletedAt: -1 }).skip((page - 1) * limit).limit(limit),
+    model.countDocuments(query),
+  ]);
+  return {
+    items: docs.map((d) => ({ ...d.toObject(), purgeAt: purgeDate(d.deletedAt) })),
+    pagination: { page, limit, totalPages: Math.ceil(total / limit), totalItems: total },
+  };
+}
@@ -0,0 +1,119 @@
+import { z } from "zod";
+
+export const UNIT_TYPES = ["flat", "room", "shop", "office", "other"];
+export const FURNISHING_LEVELS = ["unfurnished", "semi-furnished", "furnished"];
+
+export const unitAttributesSchema = z.object({
+  unitType: z.enum(UNIT_TYPES).optional(),
+  bedrooms: z.number().int().nonnegative().optional(),
+  carpetArea: z.number().positive().optional(),
+  furnishing: z.enum(FURNISHING_LEVELS).optional(),
+  askingRent: z.number().nonnegative().optional(),
+  amenities: z.array(z.string().trim().min(1).transform((a) => a.toLowerCase())).optional(),
+  notes: z.string().max(2000).optional(),
+  // beds for shared rooms (PG/hostel); 1 for an ordinary unit
+  capacity: z.number().int().min(1).max(50).optional(),
+  rentPerBed: z.number().nonnegative().optional(),
+});
+
+export const MAX_LAYOUT_UNITS = 1000;
+
+// Label tokens: {floor} floor code (G, 1, 2, B1), {n} unit number, {nn} two-digit unit number, {letter} A, B, C...
+const LABEL_TOKENS = /\{(floor|n|nn|letter)\}/g;
+const labelPattern = z.string().min(1).refine((p) => /\{(n|nn|letter)\}/.test(p), {
+  message: "pattern must contain {n}, {nn} or {letter} so units on a floor get distinct labels",
+});
+
+export const unitLayoutSchema = z.object({
+  unitsPerFloor: z.number().int().min(0).max(200),
+  pattern: labelPattern.default("{floor}{nn}"),
+  // number given to the first unit on each floor
+  startAt: z.number().int().min(0).default(1),
+  // attributes applied to every generated unit
+  defaults: unitAttributesSchema.default({}),
+  // per-floor overrides, matched by floorNumber (0 = ground, negative = basement)
+  floors: z.array(z.object({
+    floorNumber: z.number().int(),
+    unitsPerFloor: z.number().int().min(0).max(200).optional(),
+    pattern: labelPattern.optional(),
+    startAt: z.number().int().min(0).optional(),
+    // replaces the {floor} code, e.g. "UG" for an upper ground floor
+    code: z.string().min(1).optional(),
+    // explicit labels instead of the pattern
+    labels: z.array(z.string().min(1)).optional(),
+    defaults: unitAttributesSchema.optional(),
+  })).default([]),
+});
+
+function floorCode(floorNumber) {
+  if (floorNumber < 0) return `B${-floorNumber}`;
+  if (floorNumber === 0) return "G";
+  return String(floorNumber);
+}
+
+function letter(n) {
+  let out = "";
+  for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) out = String.fromCharCode(65 + ((i - 1) % 26)) + out;
+  return out;
+}
+
+export function formatUnitLabel(pattern, { floorNumber, code, n }) {
+  return pattern.replace(LABEL_TOKENS, (_, token) => {
+    switch (token) {
+      case "floor": return code ?? floorCode(floorNumber);
+      case "n": return String(n);
+      case "nn": return String(n).padStart(2, "0");
+      default: return letter(n);
+    }
+  });
+}
+
+/**
+ * Expand a layout over the given floor numbers.
+ * Returns { units: [{ floorNumber, unitLabel, ...attributes }], collisions, warnings } where
+ * collisions are labels repeated on one floor (they would break the unique unitLabel index) and
+ * warnings are labels repeated on different floors of the property.
+ */
+export function planUnitLayout(layout, floorNumbers) {
+  const known = new Set(floorNumbers);
+  const overrides = new Map();
+  for (const o of layout.floors) {
+    if (!known.has(o.floorNumber)) throw new Error(`Layout override for floor ${o.floorNumber}, which is not being created`);
+    if (overrides.has(o.floorNumber)) throw new Error(`Layout override for floor ${o.floorNumber} given twice`);
+    overrides.set(o.floorNumber, o);
+  }
+
+  const units = [];
+  for (const floorNumber of floorNumbers) {
+    const o = overrides.get(floorNumber) || {};
+    const defaults = { ...layout.defaults, ...o.defaults };
+    const startAt = o.startAt ?? layout.startAt;
+    const labels = o.labels ?? Array.from({ length: o.unitsPerFloor ?? layout.unitsPerFloor }, (_, i) =>
+      formatUnitLabel(o.pattern ?? layout.pattern, { floorNumber, code: o.code, n: startAt + i }));
+    for (const unitLabel of labels) units.push({ ...defaults, floorNumber, unitLabel });
+  }
+  if (units.length > MAX_LAYOUT_UNITS) {
+    throw new Error(`Layout would create ${units.length} units; the limit is ${MAX_LAYOUT_UNITS} per request`);
+  }
+
+  const collisions = [];
+  const warnings = [];
+  const seenOnFloor = new Set();
+  const floorsByLabel = new Map();
+  for (const u of units) {
+    const key = `${u.floorNumber}:${u.unitLabel}`;
+    if (seenOnFloor.has(key)) {
+      collisions.push({ floorNumber: u.floorNumber, unitLabel: u.unitLabel, message: `'${u.unitLabel}' is generated more than once on floor ${u.floorNumber}` });
+    }
+    seenOnFloor.add(key);
+    const floors = floorsByLabel.get(u.unitLabel) || new Set();
+    floors.add(u.floorNumber);
+    floorsByLabel.set(u.unitLabel, floors);
+  }
+  for (const [unitLabel, floors] of floorsByLabel) {
+    if (floors.size > 1) {
+      warnings.push({ unitLabel, floorNumbers: [...floors], message: `'${unitLabel}' is used on ${floors.size} floors` });
+    }
+  }
+  return { units, collisions, warnings };
+}